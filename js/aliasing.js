@@ -0,0 +1,103 @@
+// Aliasing predictor: where each partial of the Step 1 waveforms lands after
+// sampling at the recording rate
+
+import { clamp, foldFrequency } from './utils.js';
+import { waveHarmonics, PIANO_HARMONICS, PIANO_STRETCH, VIOLIN_HARMONICS } from './audio-engine.js';
+import { isNoise } from './noise.js';
+import { isTestSignal } from './test-signals.js';
+import { activeModulators } from './modulation.js';
+
+// Output scaling of the instrument generators (as in createPianoSound /
+// createViolinSound); levels are before the envelope
+const INSTRUMENT_SCALE = { piano: 0.3, violin: 0.4 };
+
+// Peak of Σ amp·cos(nθ − φ − phase) over one period. PeriodicWave normalizes the
+// waveform to this peak, so partial levels are divided by it.
+function periodicPeak(partials, phi, points = 2048) {
+  let peak = 0;
+  for (let i = 0; i < points; i++) {
+    const theta = 2 * Math.PI * i / points;
+    let v = 0;
+    for (const { n, amp, phase = 0 } of partials) v += amp * Math.cos(n * theta - phi - phase);
+    peak = Math.max(peak, Math.abs(v));
+  }
+  return peak || 1;
+}
+
+// Fourier series of the ideal (unit-peak) shapes up to `maxFreq`
+function idealPartials(w, maxFreq) {
+  const partials = [];
+  const odd = (w.type === 'square' || w.type === 'triangle');
+  for (let n = 1; n * w.freq <= maxFreq; n += odd ? 2 : 1) {
+    let amp;
+    if (w.type === 'square') amp = 4 / (Math.PI * n);
+    else if (w.type === 'triangle') amp = 8 / (Math.PI * Math.PI * n * n);
+    else if (w.type === 'sawtooth') amp = 2 / (Math.PI * n);
+    else amp = (n === 1) ? 1 : 0;
+    if (amp > 0) partials.push({ order: n, freq: n * w.freq, amp: amp * w.amp });
+    if (w.type === 'sine') break;
+  }
+  return partials;
+}
+
+// Partials { order, freq, amp } of one wave as rendered at `analogRate`
+function wavePartials(w, analogRate) {
+  if (w.type === 'piano' || w.type === 'violin') {
+    const table = (w.type === 'piano') ? PIANO_HARMONICS : VIOLIN_HARMONICS;
+    const scale = INSTRUMENT_SCALE[w.type] * w.amp;
+    return table.map(h => ({
+      order: h.ratio,
+      freq: w.freq * h.ratio * (w.type === 'piano' ? Math.pow(PIANO_STRETCH, h.ratio) : 1),
+      amp: scale * h.amp
+    }));
+  }
+  const partials = waveHarmonics(w.type, w.freq, analogRate, true, w.harmonics);
+  const phi = (w.phaseDeg || 0) * Math.PI / 180;
+  const norm = w.amp / periodicPeak(partials, phi);
+  return partials.map(({ n, amp }) => ({ order: n, freq: n * w.freq, amp: Math.abs(amp) * norm }));
+}
+
+// Predict every partial's fate when sampled at `recRate`. Partials above the
+// recording Nyquist fold to `aliasFreq`; the polyphase resampler's low-pass
+// removes them, naive decimation lets them through. Levels are for the mono
+// fold-down (`channels` = 1) or the left channel, ignoring the optional
+// analog filter; partials below `minDb` dBFS are dropped. Noise and test
+// signals have no partials to predict, modulators are not heard, and
+// modulation sidebands are not predicted.
+// With a sample-by-sample `oscillatorMode` the waves are synthesized at
+// recRate: naive shapes keep every harmonic (listed up to 16·recRate), while
+// PolyBLEP and BLIT are treated as band-limited.
+export function predictAliasing(waves, { analogRate, recRate, adcMode = 'polyphase', channels = 1, minDb = -100, oscillatorMode = 'band-limited' }) {
+  const nyquist = recRate / 2;
+  const result = [];
+  const modulators = activeModulators(waves, oscillatorMode);
+  waves.forEach((w, idx) => {
+    if (w.amp <= 0 || isNoise(w.type) || isTestSignal(w.type) || modulators.has(w.id)) return;
+    // Same balance law as renderOfflineFromWaves
+    const pan = clamp(w.pan || 0, -1, 1);
+    const left = Math.min(1, 1 - pan);
+    const gain = (channels === 1) ? 0.5 * (left + Math.min(1, 1 + pan)) : left;
+    const synthesized = oscillatorMode !== 'band-limited' && !['piano', 'violin', 'custom'].includes(w.type);
+    const partials = !synthesized
+      ? wavePartials(w, analogRate)
+      : idealPartials(w, oscillatorMode === 'naive' ? 16 * recRate : recRate / 2);
+    for (const p of partials) {
+      // The analog render cannot hold anything above its own Nyquist
+      if (!synthesized && p.freq >= analogRate / 2) continue;
+      const levelDb = 20 * Math.log10(Math.max(p.amp * gain, 1e-12));
+      if (levelDb < minDb) continue;
+      const aliased = p.freq > nyquist;
+      result.push({
+        wave: idx + 1,
+        type: w.type,
+        order: p.order,
+        freq: p.freq,
+        aliasFreq: foldFrequency(p.freq, recRate),
+        levelDb,
+        aliased,
+        removed: aliased && !synthesized && adcMode !== 'naive'
+      });
+    }
+  });
+  return result;
+}
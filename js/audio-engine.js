@@ -1,49 +1,43 @@
 // Audio synthesis and processing engine
 
 import { clamp, generateADSR, lerp } from './utils.js';
+import { resample, resampleAt } from './resampler.js';
+import { ulawToLinear, alawToLinear, linearToUlaw, linearToAlaw } from './g711.js';
+import { createRandom, createRandomStream } from './random.js';
+import { renderOscillator } from './oscillators.js';
+import { designFilter, FILTER_TYPES } from './filter-design.js';
+import { hasClockError, clockJitter, clockTimes, clockPositions } from './clock.js';
+import { createConverterModel, isIdealConverter } from './converter-model.js';
+import { isNoise, renderNoise } from './noise.js';
+import { isTestSignal, renderTestSignal } from './test-signals.js';
+import { connectModulation } from './modulation.js';
 
-// Build a band-limited PeriodicWave for a given shape
-export function buildPeriodicWave(ctx, shape, f0, phaseDeg, limitHarmonics = true) {
-  const sr = ctx.sampleRate;
+// Fourier series partials { n, amp } of a basic shape at f0, as rendered at
+// `sampleRate`. With `limitHarmonics` partials stop below 90% of Nyquist.
+// The 'custom' shape takes its partials from `table` (see
+// DEFAULT_CUSTOM_HARMONICS), and they also carry a `phase` in radians.
+export function waveHarmonics(shape, f0, sampleRate, limitHarmonics = true, table = null) {
   // Calculate max harmonics - allow up to 90% of Nyquist to avoid sharp cutoff
-  const nyquist = sr / 2;
+  const nyquist = sampleRate / 2;
   const maxFreq = nyquist * 0.9; // Use 90% of Nyquist
   const kMax = limitHarmonics ? Math.max(1, Math.floor(maxFreq / Math.max(1, f0))) : 256;
-  
-  // Use more array space to ensure we have room for all harmonics
-  const arraySize = Math.max(kMax + 1, 8192);
-  const real = new Float32Array(arraySize);
-  const imag = new Float32Array(arraySize);
-  const phi = (phaseDeg || 0) * Math.PI / 180;
+  const partials = [];
 
-  // Helper to set a sinusoid at harmonic k with magnitude A and phase phi
-  function addHarm(k, A) {
-    real[k] += A * Math.cos(phi);
-    imag[k] += A * Math.sin(phi);
-  }
+  // Gentle roll-off starting at 80% of Nyquist to avoid harsh cutoff
+  const rolloff = n => {
+    const freq = n * f0;
+    if (freq <= nyquist * 0.8) return 1;
+    return Math.max(0, 1 - ((freq - nyquist * 0.8) / (nyquist * 0.2)));
+  };
 
   switch (shape) {
-    case 'sine': {
-      addHarm(1, 1.0);
-      break;
-    }
     case 'square': {
       const scale = 4 / Math.PI;
       // Include ALL odd harmonics up to the limit for proper square shape
       for (let n = 1; n <= kMax; n += 2) {
-        // Apply gentle roll-off near Nyquist to avoid harsh cutoff
-        const freq = n * f0;
-        const nyquist = ctx.sampleRate / 2;
-        let amplitude = scale * (1 / n);
-        
-        // Gentle roll-off starting at 80% of Nyquist
-        if (freq > nyquist * 0.8) {
-          const rolloff = 1 - ((freq - nyquist * 0.8) / (nyquist * 0.2));
-          amplitude *= Math.max(0, rolloff);
-        }
-        
+        const amplitude = scale * (1 / n) * rolloff(n);
         if (amplitude > 0) {
-          addHarm(n, amplitude);
+          partials.push({ n, amp: amplitude });
         }
       }
       break;
@@ -53,18 +47,9 @@ export function buildPeriodicWave(ctx, shape, f0, phaseDeg, limitHarmonics = tru
       // Include all odd harmonics for proper triangle shape
       for (let n = 1; n <= kMax; n += 2) {
         const sign = ((n - 1) / 2) % 2 === 0 ? 1 : -1;
-        const freq = n * f0;
-        const nyquist = ctx.sampleRate / 2;
-        let amplitude = scale * sign * (1 / (n * n));
-        
-        // Gentle roll-off near Nyquist
-        if (freq > nyquist * 0.8) {
-          const rolloff = 1 - ((freq - nyquist * 0.8) / (nyquist * 0.2));
-          amplitude *= Math.max(0, rolloff);
-        }
-        
+        const amplitude = scale * sign * (1 / (n * n)) * rolloff(n);
         if (Math.abs(amplitude) > 0.00001) {
-          addHarm(n, amplitude);
+          partials.push({ n, amp: amplitude });
         }
       }
       break;
@@ -73,31 +58,92 @@ export function buildPeriodicWave(ctx, shape, f0, phaseDeg, limitHarmonics = tru
       const scale = 2 / Math.PI;
       for (let n = 1; n <= kMax; n++) {
         const sign = ((n + 1) % 2 === 0) ? 1 : -1;
-        const freq = n * f0;
-        const nyquist = ctx.sampleRate / 2;
-        let amplitude = scale * sign * (1 / n);
-        
-        // Gentle roll-off near Nyquist
-        if (freq > nyquist * 0.8) {
-          const rolloff = 1 - ((freq - nyquist * 0.8) / (nyquist * 0.2));
-          amplitude *= Math.max(0, rolloff);
-        }
-        
+        const amplitude = scale * sign * (1 / n) * rolloff(n);
         if (Math.abs(amplitude) > 0.00001) {
-          addHarm(n, amplitude);
+          partials.push({ n, amp: amplitude });
         }
       }
       break;
     }
+    case 'custom': {
+      // Harmonic n is table[n − 1]; silent entries are left out
+      (table || DEFAULT_CUSTOM_HARMONICS).forEach(({ amp, phaseDeg }, i) => {
+        const n = i + 1;
+        const amplitude = amp * rolloff(n);
+        if (n <= kMax && amplitude > 0) {
+          partials.push({ n, amp: amplitude, phase: (phaseDeg || 0) * Math.PI / 180 });
+        }
+      });
+      break;
+    }
+    case 'sine':
     default: {
-      // For custom waveforms, fallback to sine
-      addHarm(1, 1.0);
+      partials.push({ n: 1, amp: 1.0 });
     }
   }
   
+  return partials;
+}
+
+// Harmonic table of a new 'custom' wave: amplitude and phase (degrees) of
+// harmonics 1, 2, 3, … (a sawtooth-like 1/n series)
+export const DEFAULT_CUSTOM_HARMONICS = Array.from({ length: 8 }, (_, i) => ({ amp: 1 / (i + 1), phaseDeg: 0 }));
+
+// Harmonic tables are edited up to this many harmonics
+export const MAX_CUSTOM_HARMONICS = 64;
+
+// Build a band-limited PeriodicWave for a given shape; null when a custom
+// table has nothing below the harmonic limit
+export function buildPeriodicWave(ctx, shape, f0, phaseDeg, limitHarmonics = true, table = null) {
+  const partials = waveHarmonics(shape, f0, ctx.sampleRate, limitHarmonics, table);
+  if (!partials.length) return null;
+  const kMax = partials[partials.length - 1].n;
+  
+  // Use more array space to ensure we have room for all harmonics
+  const arraySize = Math.max(kMax + 1, 8192);
+  const real = new Float32Array(arraySize);
+  const imag = new Float32Array(arraySize);
+  const phi = (phaseDeg || 0) * Math.PI / 180;
+
+  // Set a sinusoid at harmonic k with magnitude A and phase phi (plus the
+  // harmonic's own phase for custom tables)
+  for (const { n, amp, phase = 0 } of partials) {
+    real[n] += amp * Math.cos(phi + phase);
+    imag[n] += amp * Math.sin(phi + phase);
+  }
+  
   return new PeriodicWave(ctx, { real, imag, disableNormalization: false });
 }
 
+// Partials for the piano-like timbre (relative amplitudes)
+export const PIANO_HARMONICS = [
+  { ratio: 1, amp: 1.0 },     // Fundamental
+  { ratio: 2, amp: 0.5 },     // 2nd harmonic
+  { ratio: 3, amp: 0.3 },     // 3rd harmonic
+  { ratio: 4, amp: 0.2 },     // 4th harmonic
+  { ratio: 5, amp: 0.15 },    // 5th harmonic
+  { ratio: 6, amp: 0.1 },     // 6th harmonic
+  { ratio: 7, amp: 0.08 },    // 7th harmonic
+  { ratio: 8, amp: 0.05 }     // 8th harmonic
+];
+
+// Piano partials are stretched by 1.0003^ratio for slight inharmonicity
+export const PIANO_STRETCH = 1.0003;
+
+// More realistic violin harmonics based on actual violin spectrum
+export const VIOLIN_HARMONICS = [
+  { ratio: 1, amp: 1.0 },      // Fundamental
+  { ratio: 2, amp: 0.45 },     // Octave
+  { ratio: 3, amp: 0.3 },      // Fifth
+  { ratio: 4, amp: 0.25 },     // Two octaves
+  { ratio: 5, amp: 0.18 },     
+  { ratio: 6, amp: 0.12 },    
+  { ratio: 7, amp: 0.08 },     
+  { ratio: 8, amp: 0.06 },    
+  { ratio: 9, amp: 0.04 },     
+  { ratio: 10, amp: 0.03 }    
+];
+
 // Create piano-like sound with ADSR envelope
 export async function createPianoSound(ctx, frequency, duration, amplitude = 0.8) {
   const sampleRate = ctx.sampleRate;
@@ -113,27 +159,15 @@ export async function createPianoSound(ctx, frequency, duration, amplitude = 0.8
     release: 0.5    // Moderate release
   });
   
-  // Generate harmonics for piano-like timbre
-  const harmonics = [
-    { ratio: 1, amp: 1.0 },     // Fundamental
-    { ratio: 2, amp: 0.5 },     // 2nd harmonic
-    { ratio: 3, amp: 0.3 },     // 3rd harmonic
-    { ratio: 4, amp: 0.2 },     // 4th harmonic
-    { ratio: 5, amp: 0.15 },    // 5th harmonic
-    { ratio: 6, amp: 0.1 },     // 6th harmonic
-    { ratio: 7, amp: 0.08 },    // 7th harmonic
-    { ratio: 8, amp: 0.05 }     // 8th harmonic
-  ];
-  
   for (let i = 0; i < samples; i++) {
     let sample = 0;
     const t = i / sampleRate;
     
     // Sum harmonics
-    for (const h of harmonics) {
+    for (const h of PIANO_HARMONICS) {
       const freq = frequency * h.ratio;
       // Add slight inharmonicity for realism (stretched tuning)
-      const stretchedFreq = freq * Math.pow(1.0003, h.ratio);
+      const stretchedFreq = freq * Math.pow(PIANO_STRETCH, h.ratio);
       sample += h.amp * Math.sin(2 * Math.PI * stretchedFreq * t);
     }
     
@@ -144,8 +178,9 @@ export async function createPianoSound(ctx, frequency, duration, amplitude = 0.8
   return buffer;
 }
 
-// Create violin-like sound with vibrato
-export async function createViolinSound(ctx, frequency, duration, amplitude = 0.8) {
+// Create violin-like sound with vibrato. Phase offsets and bow noise come
+// from `rng` (a createRandom() source) so renders are reproducible.
+export async function createViolinSound(ctx, frequency, duration, amplitude = 0.8, rng = createRandom(1)) {
   const sampleRate = ctx.sampleRate;
   const samples = Math.floor(duration * sampleRate);
   const buffer = ctx.createBuffer(1, samples, sampleRate);
@@ -159,26 +194,12 @@ export async function createViolinSound(ctx, frequency, duration, amplitude = 0.
     release: 0.3    // Natural release
   });
   
-  // More realistic violin harmonics based on actual violin spectrum
-  const harmonics = [
-    { ratio: 1, amp: 1.0 },      // Fundamental
-    { ratio: 2, amp: 0.45 },     // Octave
-    { ratio: 3, amp: 0.3 },      // Fifth
-    { ratio: 4, amp: 0.25 },     // Two octaves
-    { ratio: 5, amp: 0.18 },     
-    { ratio: 6, amp: 0.12 },    
-    { ratio: 7, amp: 0.08 },     
-    { ratio: 8, amp: 0.06 },    
-    { ratio: 9, amp: 0.04 },     
-    { ratio: 10, amp: 0.03 }    
-  ];
-  
   // More subtle vibrato
   const vibratoRate = 4.5;  // Hz (slightly slower)
   const vibratoDepth = 0.002; // 0.2% frequency modulation (more subtle)
   
   // Pre-calculate phase offsets for each harmonic (constant per buffer)
-  const phaseOffsets = harmonics.map(() => Math.random() * 2 * Math.PI);
+  const phaseOffsets = VIOLIN_HARMONICS.map(() => rng.next() * 2 * Math.PI);
   
   for (let i = 0; i < samples; i++) {
     let sample = 0;
@@ -189,8 +210,8 @@ export async function createViolinSound(ctx, frequency, duration, amplitude = 0.
     const vibrato = 1 + vibratoDepth * vibratoEnvelope * Math.sin(2 * Math.PI * vibratoRate * t);
     
     // Sum harmonics with vibrato
-    for (let j = 0; j < harmonics.length; j++) {
-      const h = harmonics[j];
+    for (let j = 0; j < VIOLIN_HARMONICS.length; j++) {
+      const h = VIOLIN_HARMONICS[j];
       const freq = frequency * h.ratio * vibrato;
       
       // Use pre-calculated phase offset for consistency
@@ -199,7 +220,7 @@ export async function createViolinSound(ctx, frequency, duration, amplitude = 0.
     
     // Add subtle bow noise in the attack phase
     if (t < 0.1) {
-      sample += (Math.random() - 0.5) * 0.02 * (1 - t * 10);
+      sample += (rng.next() - 0.5) * 0.02 * (1 - t * 10);
     }
     
     // Apply envelope and amplitude with better scaling
@@ -209,29 +230,91 @@ export async function createViolinSound(ctx, frequency, duration, amplitude = 0.
   return buffer;
 }
 
+// Insert the optional "analog" filter before the destination and return the
+// node sources should connect to. `filter` is a designFilter() spec; IIR
+// designs run as a cascade of second-order IIRFilterNodes, FIR designs in a
+// ConvolverNode (delayed by half the kernel length).
+function connectAnalogFilter(ctx, filter) {
+  if (!filter || !FILTER_TYPES.includes(filter.type)) return ctx.destination;
+  
+  const design = designFilter(filter, ctx.sampleRate);
+  if (design.kind === 'fir') {
+    const buffer = ctx.createBuffer(1, design.taps.length, ctx.sampleRate);
+    buffer.getChannelData(0).set(design.taps);
+    const conv = new ConvolverNode(ctx, { buffer, disableNormalization: true });
+    conv.connect(ctx.destination);
+    return conv;
+  }
+  
+  const sections = design.sos.map(({ b, a }) => new IIRFilterNode(ctx, { feedforward: b, feedback: a }));
+  sections.reduce((node, next) => node.connect(next)).connect(ctx.destination);
+  return sections[0];
+}
+
+// Render a slice of an existing buffer (e.g. an imported file) through the
+// same optional filter. Audio past the end of the buffer is silence.
+export async function renderOfflineFromBuffer({ buffer, duration, sampleRate, offset = 0, filter = null }) {
+  const ctx = new OfflineAudioContext({
+    numberOfChannels: buffer.numberOfChannels,
+    length: Math.ceil(duration * sampleRate),
+    sampleRate
+  });
+
+  const source = new AudioBufferSourceNode(ctx, { buffer });
+  source.connect(connectAnalogFilter(ctx, filter));
+  source.start(0, clamp(offset, 0, buffer.duration), duration);
+
+  return ctx.startRendering();
+}
+
 // Render offline from waves with support for custom waveforms
-export async function renderOfflineFromWaves({ duration, sampleRate, waves, antiAliasMaxHarmonics = true, filter = null }) {
+// With channels = 2 each wave is placed in the stereo field by its `pan`
+// (-1 = left only, 0 = both channels at unity, +1 = right only).
+// Random elements draw from a per-wave stream of `seed`, so the same seed and
+// waves always render the same samples. `oscillatorMode` other than
+// 'band-limited' computes square, sawtooth and triangle sample by sample at
+// `sampleRate` (see oscillators.js) instead of using a PeriodicWave.
+// Waves with a `modTarget` and the `lfos` modulate other waves (see
+// modulation.js); buffer-based waves take no FM, only slow LFO vibrato
+// through their playback rate (see hasAudioRateFrequency).
+export async function renderOfflineFromWaves({ duration, sampleRate, waves, channels = 1, antiAliasMaxHarmonics = true, filter = null, seed = 1, oscillatorMode = 'band-limited', lfos = [] }) {
   const ctx = new OfflineAudioContext({
-    numberOfChannels: 1,
+    numberOfChannels: channels,
     length: Math.ceil(duration * sampleRate),
     sampleRate
   });
 
   // Optional filter
-  let dest = ctx.destination;
-  if (filter && (filter.type === 'lowpass' || filter.type === 'highpass')) {
-    const biq = new BiquadFilterNode(ctx, {
-      type: filter.type,
-      frequency: clamp(filter.cutoff || 18000, 10, sampleRate / 2 - 10),
-      Q: 0.707
-    });
-    biq.connect(ctx.destination);
-    dest = biq;
+  const dest = connectAnalogFilter(ctx, filter);
+
+  // Stereo routing: per-wave L/R gains summed into a channel merger
+  let merger = null;
+  if (channels === 2) {
+    merger = new ChannelMergerNode(ctx, { numberOfInputs: 2 });
+    merger.connect(dest);
   }
+  const connectOut = (node, w) => {
+    if (!merger) {
+      node.connect(dest);
+      return;
+    }
+    const pan = clamp(w.pan || 0, -1, 1);
+    node.connect(new GainNode(ctx, { gain: Math.min(1, 1 - pan) })).connect(merger, 0, 0);
+    node.connect(new GainNode(ctx, { gain: Math.min(1, 1 + pan) })).connect(merger, 0, 1);
+  };
+
+  // Source and level node of each wave, routed once all waves exist
+  const voices = new Map();
+  const addVoice = (w, idx, source, gain, frequency) => {
+    source.connect(gain);
+    voices.set(w.id ?? idx, { wave: w, source, gain, level: gain.gain.value, frequency });
+  };
+  const playbackRate = (source, w) => ({ param: source.playbackRate, perHz: 1 / Math.max(1, w.freq) });
 
   // Build oscillators and custom sounds
-  for (const w of waves) {
+  for (const [idx, w] of waves.entries()) {
     if (w.amp <= 0) continue;
+    const rng = createRandomStream(seed, `wave-${w.id ?? idx}`);
     
     if (w.type === 'piano' || w.type === 'violin') {
       // Create custom buffer source
@@ -239,7 +322,7 @@ export async function renderOfflineFromWaves({ duration, sampleRate, waves, anti
       if (w.type === 'piano') {
         buffer = await createPianoSound(ctx, w.freq, duration, w.amp);
       } else {
-        buffer = await createViolinSound(ctx, w.freq, duration, w.amp);
+        buffer = await createViolinSound(ctx, w.freq, duration, w.amp, rng);
       }
       
       const source = ctx.createBufferSource();
@@ -254,9 +337,37 @@ export async function renderOfflineFromWaves({ duration, sampleRate, waves, anti
       }
       
       const gain = new GainNode(ctx, { gain: 1.0 });
-      source.connect(gain).connect(dest);
+      addVoice(w, idx, source, gain, playbackRate(source, w));
       source.start(0);
       source.stop(duration);
+    } else if (isNoise(w.type) || isTestSignal(w.type)) {
+      // Seeded noise, the same at every render (band noise stops at the
+      // wave's frequency), or a sweep or click that ignores the frequency
+      const buffer = ctx.createBuffer(1, ctx.length, sampleRate);
+      buffer.getChannelData(0).set(isNoise(w.type)
+        ? renderNoise(w.type, { length: ctx.length, sampleRate, rng, bandEdge: w.freq })
+        : renderTestSignal(w.type, { length: ctx.length, sampleRate }));
+      
+      const source = new AudioBufferSourceNode(ctx, { buffer });
+      const gain = new GainNode(ctx, { gain: w.amp });
+      addVoice(w, idx, source, gain, playbackRate(source, w));
+      source.start(0);
+    } else if (oscillatorMode !== 'band-limited' && w.type !== 'custom') {
+      // Sample-by-sample oscillator (naive, PolyBLEP or BLIT); custom tables
+      // are additive and always band-limited
+      const buffer = ctx.createBuffer(1, ctx.length, sampleRate);
+      buffer.getChannelData(0).set(renderOscillator(w.type, {
+        freq: w.freq,
+        phaseDeg: w.phaseDeg,
+        sampleRate,
+        length: ctx.length,
+        mode: oscillatorMode
+      }));
+      
+      const source = new AudioBufferSourceNode(ctx, { buffer });
+      const gain = new GainNode(ctx, { gain: w.amp });
+      addVoice(w, idx, source, gain, playbackRate(source, w));
+      source.start(0);
     } else {
       // Standard waveforms
       const osc = new OscillatorNode(ctx, {
@@ -266,80 +377,243 @@ export async function renderOfflineFromWaves({ duration, sampleRate, waves, anti
       
       const gain = new GainNode(ctx, { gain: w.amp });
       
-      const pw = buildPeriodicWave(ctx, w.type, w.freq, w.phaseDeg, antiAliasMaxHarmonics);
+      const pw = buildPeriodicWave(ctx, w.type, w.freq, w.phaseDeg, antiAliasMaxHarmonics, w.harmonics);
       if (pw) {
         osc.setPeriodicWave(pw);
+      } else if (w.type === 'custom') {
+        continue;
       } else {
         osc.type = w.type;
       }
       
-      osc.connect(gain).connect(dest);
+      addVoice(w, idx, osc, gain, { param: osc.frequency, perHz: 1 });
       osc.start(0);
       osc.stop(duration);
     }
   }
 
+  // Modulators drive their targets instead of the output
+  const modulators = connectModulation(ctx, voices, lfos, duration, oscillatorMode);
+  for (const [id, { wave, gain }] of voices) {
+    if (!modulators.has(id)) connectOut(gain, wave);
+  }
+
   const buf = await ctx.startRendering();
   return buf;
 }
 
-// Quantization with optional dithering and compression
-export function quantizeBuffer(xFloat, { bits, dither = false, compression = 'None' }) {
+// Companding laws. `compress` maps |x| in [0, 1] to |y| in [0, 1].
+const MU = 255;
+const A = 87.6;
+const COMPANDERS = {
+  mu: {
+    compress: ax => Math.log(1 + MU * ax) / Math.log(1 + MU),
+    expand: ay => (Math.pow(1 + MU, ay) - 1) / MU
+  },
+  a: {
+    compress: ax => (ax < 1 / A)
+      ? A * ax / (1 + Math.log(A))
+      : (1 + Math.log(A * ax)) / (1 + Math.log(A)),
+    expand: ay => (ay < 1 / (1 + Math.log(A)))
+      ? ay * (1 + Math.log(A)) / A
+      : Math.exp(ay * (1 + Math.log(A)) - 1) / A
+  }
+};
+
+// Compression settings: 'none', 'ulaw' / 'alaw' (continuous log formula,
+// 8-bit) or 'ulaw-g711' / 'alaw-g711' (ITU-T G.711 segment tables)
+export function parseCompression(compression = 'none') {
+  if (compression.startsWith('ulaw')) return { law: 'mu', g711: compression.endsWith('g711') };
+  if (compression.startsWith('alaw')) return { law: 'a', g711: compression.endsWith('g711') };
+  return { law: null, g711: false };
+}
+
+// Linear PCM quantizer for any bit depth. N ≥ 2 bits use a symmetric
+// mid-tread grid of 2^N − 1 levels at k / peak; 1 bit has no zero level and
+// quantizes to the sign (±1). Values are code / peak.
+export function pcmQuantizer(bits) {
+  const midRise = bits === 1;
+  const peak = midRise ? 1 : Math.pow(2, bits - 1) - 1;
+  return {
+    peak,
+    step: midRise ? 2 : 1 / peak,
+    levels: midRise ? 2 : 2 * peak + 1,
+    code: midRise
+      ? v => (v >= 0 ? 1 : -1)
+      : v => Math.round(clamp(v, -1, 1) * peak)
+  };
+}
+
+// Dither noise generators, in LSBs, drawing from a seeded random source
+export const DITHER_TYPES = ['off', 'rpdf', 'tpdf', 'tpdf-hp'];
+
+function makeDither(type, rng) {
+  switch (type) {
+    case 'rpdf':
+      // Rectangular, ±½ LSB
+      return () => rng.next() - 0.5;
+    case 'tpdf':
+      // Triangular, ±1 LSB (sum of two rectangular)
+      return () => rng.next() + rng.next() - 1;
+    case 'tpdf-hp': {
+      // High-pass triangular: difference of successive rectangular values,
+      // which moves the dither power towards Nyquist
+      let prev = rng.next();
+      return () => {
+        const r = rng.next();
+        const d = r - prev;
+        prev = r;
+        return d;
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Error-feedback noise shaping filters h[k]; the noise transfer function is
+// 1 − Σ h[k]·z^−(k+1). The psychoacoustic sets (Wannamaker) are designed
+// for 44.1 kHz.
+export const NOISE_SHAPING_FILTERS = {
+  none: [],
+  'first-order': [1],
+  'wannamaker-3': [1.623, -0.982, 0.109],
+  'f-weighted': [2.412, -3.370, 3.937, -4.174, 3.353, -2.205, 1.281, -0.569, 0.0847]
+};
+
+// Quantization with optional dithering, noise shaping and compression.
+// `float: true` stores IEEE 32-bit float: values are rounded to single
+// precision and not clipped at full scale. Dither and noise shaping apply to
+// linear PCM only; `rng` is a createRandom() source so dithered renders can be
+// reproduced. `converter` is a createConverterModel() spec for a non-ideal
+// linear PCM converter. `clips` counts the samples beyond full scale, after
+// the converter's offset and gain.
+export function quantizeBuffer(xFloat, { bits, float = false, dither = 'off', noiseShaping = 'none', rng = createRandom(1), compression = 'none', converter = null }) {
   const N = xFloat.length;
-  const qFloat = new Float32Array(N);
-  const errFloat = new Float32Array(N);
+  const { law, g711 } = parseCompression(compression);
+  const lawName = (law === 'mu') ? 'μ-law' : 'A-law';
+
+  if (float && !law) {
+    const pcm = Float32Array.from(xFloat);
+    const errFloat = new Float64Array(N);
+    for (let i = 0; i < N; i++) {
+      errFloat[i] = xFloat[i] - pcm[i];
+    }
+    return { qFloat: pcm, errFloat, pcm, encLabel: '32-bit float', g711: null, law: null, clips: 0 };
+  }
+
+  // Float32 cannot hold 32-bit integer steps, so those use doubles
+  const FloatArray = (bits > 24) ? Float64Array : Float32Array;
+  const qFloat = new FloatArray(N);
+  const errFloat = new FloatArray(N);
   let pcm = null;
-  let ulaw = null;
+  let clips = 0;
+
+  if (law && g711) {
+    // G.711 segment-table codec on 16-bit linear input
+    const encode = (law === 'mu') ? linearToUlaw : linearToAlaw;
+    const decode = (law === 'mu') ? ulawToLinear : alawToLinear;
+    const bytes = new Uint8Array(N);
+    for (let i = 0; i < N; i++) {
+      if (Math.abs(xFloat[i]) > 1) clips++;
+      const x = clamp(xFloat[i], -1, 1);
+      bytes[i] = encode(clamp(Math.round(x * 32767), -32768, 32767));
+      const xRec = decode(bytes[i]) / 32768;
+      qFloat[i] = xRec;
+      errFloat[i] = x - xRec;
+    }
+    return { qFloat, errFloat, pcm: bytes, encLabel: `${lawName}8 (G.711)`, g711: bytes, law, clips };
+  }
 
-  if (compression.startsWith('μ')) {
-    // μ-law 8-bit companding
-    ulaw = new Uint8Array(N);
+  if (law) {
+    // Continuous-formula 8-bit companding
+    const { compress, expand } = COMPANDERS[law];
+    const codes = new Uint8Array(N);
     for (let i = 0; i < N; i++) {
+      if (Math.abs(xFloat[i]) > 1) clips++;
       const x = clamp(xFloat[i], -1, 1);
       const sign = x < 0 ? -1 : 1;
-      const mu = 255;
-      const y = sign * (Math.log(1 + mu * Math.abs(x)) / Math.log(1 + mu));
+      const y = sign * compress(Math.abs(x));
       const val = Math.round((y + 1) * 127.5);
-      ulaw[i] = clamp(val, 0, 255);
-      const yDec = ((ulaw[i] / 127.5) - 1);
-      const xRec = signMuLawInverse(yDec, mu);
+      codes[i] = clamp(val, 0, 255);
+      const yDec = ((codes[i] / 127.5) - 1);
+      const xRec = clamp((yDec < 0 ? -1 : 1) * expand(Math.abs(yDec)), -1, 1);
       qFloat[i] = xRec;
       errFloat[i] = x - xRec;
     }
-    pcm = ulaw;
-    return { qFloat, errFloat, pcm, encLabel: 'μ-law8', ulaw };
+    pcm = codes;
+    return { qFloat, errFloat, pcm, encLabel: `${lawName}8`, g711: null, law, clips };
   }
 
-  // Linear PCM
-  const peak = Math.pow(2, bits - 1) - 1;
-  const step = 1 / peak;
+  // Linear PCM, through the converter model when it is not ideal
+  const quantizer = pcmQuantizer(bits);
+  const { peak, step } = quantizer;
+  const model = isIdealConverter(converter) ? null : createConverterModel(quantizer, converter);
+  const code = model ? model.code : quantizer.code;
   let arr;
-  if (bits === 8) arr = new Int8Array(N);
-  else if (bits === 16) arr = new Int16Array(N);
+  if (bits <= 8) arr = new Int8Array(N);
+  else if (bits <= 16) arr = new Int16Array(N);
   else arr = new Int32Array(N);
 
+  const ditherNoise = makeDither(dither, rng);
+  const h = NOISE_SHAPING_FILTERS[noiseShaping] || [];
+  const pastErr = new Float64Array(h.length); // pastErr[0] is the most recent
+  const maxErr = 8 * step; // keeps the feedback loop stable when the quantizer overloads
+
   for (let i = 0; i < N; i++) {
-    let v = clamp(xFloat[i], -1, 1);
-    if (dither) {
-      // TPDF dither
-      v += (Math.random() + Math.random() - 1) * step;
-      v = clamp(v, -1, 1);
+    const x = clamp(xFloat[i], -1, 1);
+    const input = model ? model.input(xFloat[i]) : xFloat[i];
+    if (Math.abs(input) > 1) clips++;
+    
+    // Subtract the filtered past quantization error
+    let v = model ? model.overload(input) : x;
+    for (let k = 0; k < h.length; k++) {
+      v -= h[k] * pastErr[k];
     }
-    const q = Math.round(v * peak);
+    
+    const u = ditherNoise ? v + ditherNoise() * step : v;
+    const q = code(u);
     arr[i] = q;
     const qv = q / peak;
     qFloat[i] = qv;
-    errFloat[i] = v - qv;
+    errFloat[i] = x - qv;
+    
+    if (h.length) {
+      pastErr.copyWithin(1, 0);
+      pastErr[0] = clamp(qv - v, -maxErr, maxErr);
+    }
   }
   pcm = arr;
-  return { qFloat, errFloat, pcm, encLabel: `${bits}-bit PCM`, ulaw: null };
+  return { qFloat, errFloat, pcm, encLabel: `${bits}-bit PCM`, g711: null, law: null, clips };
+}
+
+// SNR of a quantizer for a sine at each input level (dBFS). Shows the flat
+// SNR of companding against the 6 dB/bit slope of linear PCM at low levels.
+export function snrVersusLevel({ bits, float = false, compression = 'none', levelsDb, freq = 997, sampleRate = 8000, length = 8192 }) {
+  const levels = levelsDb || Array.from({ length: 13 }, (_, i) => -60 + 5 * i);
+  const base = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    base[i] = Math.sin(2 * Math.PI * freq * i / sampleRate);
+  }
+  return levels.map(levelDb => {
+    const gain = Math.pow(10, levelDb / 20);
+    const x = base.map(v => v * gain);
+    const { qFloat } = quantizeBuffer(x, { bits, float, compression });
+    return { levelDb, snr: computeSNR(x, qFloat) };
+  });
 }
 
-function signMuLawInverse(y, mu) {
-  const sign = (y < 0) ? -1 : 1;
-  const ay = Math.abs(y);
-  const x = sign * ((Math.pow(1 + mu, ay) - 1) / mu);
-  return clamp(x, -1, 1);
+// Normalized L/R correlation: +1 mono, 0 uncorrelated, -1 out of phase
+export function computeStereoCorrelation(left, right) {
+  let lr = 0, ll = 0, rr = 0;
+  const N = Math.min(left.length, right.length);
+  for (let i = 0; i < N; i++) {
+    lr += left[i] * right[i];
+    ll += left[i] * left[i];
+    rr += right[i] * right[i];
+  }
+  if (ll <= 1e-20 || rr <= 1e-20) return 0;
+  return lr / Math.sqrt(ll * rr);
 }
 
 // Compute Signal-to-Noise Ratio
@@ -356,16 +630,65 @@ export function computeSNR(x, y) {
   return 10 * Math.log10(pSig / pErr);
 }
 
+// Catmull-Rom cubic Hermite interpolation between x0 and x1
+function hermite(xm1, x0, x1, x2, frac) {
+  const c1 = 0.5 * (x1 - xm1);
+  const c2 = xm1 - 2.5 * x0 + 2 * x1 - 0.5 * x2;
+  const c3 = 0.5 * (x2 - xm1) + 1.5 * (x0 - x1);
+  return ((c3 * frac + c2) * frac + c1) * frac + x0;
+}
+
+// First-order DAC jitter: sample n shifted by jitter[n] seconds. The hold's
+// steps use the backward difference, smoother methods the central one.
+function applyEdgeJitter(q, jitter, fs, hold) {
+  const out = new Float32Array(q.length);
+  const last = q.length - 1;
+  for (let n = 0; n < q.length; n++) {
+    const slope = hold
+      ? (q[n] - (n > 0 ? q[n - 1] : 0)) * fs
+      : (q[Math.min(n + 1, last)] - q[Math.max(n - 1, 0)]) * fs / 2;
+    out[n] = q[n] - jitter[n] * slope;
+  }
+  return out;
+}
+
 // DAC Reconstruction
-export function reconstructDAC(q, fsIn, fsOut, methodLabel) {
+// Methods: zero-order hold, linear, cubic (Hermite) and windowed sinc
+// (Whittaker–Shannon with a finite kernel of `sincTaps` input samples,
+// computed by the polyphase resampler).
+// A `clock` spec (see clock.js) emits sample n at its offset, jittered
+// instant instead of n / fsIn. The band-limited output is read at those
+// instants; the piecewise methods follow the ppm drift, and take jitter to
+// first order: an edge moved by δ adds −δ·dx/dt, folded into its sample
+// (the output grid is too coarse to move the edges themselves).
+export function reconstructDAC(q, fsIn, fsOut, methodLabel, { sincTaps = 32, sincWindow = 'kaiser', kaiserBeta = 8, clock = null } = {}) {
   const duration = q.length / fsIn;
   const Nout = Math.floor(duration * fsOut);
+  const timed = clock && hasClockError(clock);
+  const hold = !methodLabel.startsWith('Linear') && !methodLabel.startsWith('Cubic');
+  
+  if (methodLabel.startsWith('Windowed sinc')) {
+    const sincOptions = { mode: 'polyphase', taps: sincTaps, window: sincWindow, beta: kaiserBeta };
+    if (!timed) return resample(q, fsIn, fsOut, sincOptions);
+    const positions = clockPositions(clockTimes(q.length, fsIn, clock), fsOut, Nout);
+    return resampleAt(q, positions, { ...sincOptions, cutoff: Math.min(1, fsOut / fsIn) });
+  }
+  
+  const positions = (timed && clock.ppm)
+    ? clockPositions(clockTimes(q.length, fsIn, { ppm: clock.ppm }), fsOut, Nout)
+    : null;
+  if (timed && (clock.jitterRms > 0 || clock.sineJitter > 0)) {
+    q = applyEdgeJitter(q, clockJitter(q.length, fsIn, clock), fsIn, hold);
+  }
+  
   const y = new Float32Array(Nout);
   const linear = methodLabel.startsWith('Linear');
+  const cubic = methodLabel.startsWith('Cubic');
+  const last = q.length - 1;
+  const at = n => q[clamp(n, 0, last)];
 
   for (let i = 0; i < Nout; i++) {
-    const t = i / fsOut;
-    const n = t * fsIn;
+    const n = positions ? positions[i] : i / fsOut * fsIn;
     const n0 = Math.floor(n);
     const frac = n - n0;
     
@@ -374,7 +697,9 @@ export function reconstructDAC(q, fsIn, fsOut, methodLabel) {
       continue;
     }
     
-    if (!linear || n0 === q.length - 1) {
+    if (cubic) {
+      y[i] = hermite(at(n0 - 1), q[n0], at(n0 + 1), at(n0 + 2), frac);
+    } else if (!linear || n0 === last) {
       y[i] = q[n0];
     } else {
       const n1 = n0 + 1;
@@ -384,18 +709,3 @@ export function reconstructDAC(q, fsIn, fsOut, methodLabel) {
   return y;
 }
 
-// Simple one-pole low-pass filter
-export function onePoleLowpass(x, fs, cutoff) {
-  const y = new Float32Array(x.length);
-  const dt = 1 / fs;
-  const RC = 1 / (2 * Math.PI * cutoff);
-  const alpha = dt / (RC + dt);
-  let prev = 0;
-  
-  for (let i = 0; i < x.length; i++) {
-    prev = prev + alpha * (x[i] - prev);
-    y[i] = prev;
-  }
-  return y;
-}
-
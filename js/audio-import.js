@@ -0,0 +1,71 @@
+// Audio file import: decoding, channel selection and conversion to the context rate
+
+import { resample } from './resampler.js';
+import { decodeWav } from './wav-decoder.js';
+
+export const IMPORT_CHANNEL_MODES = ['stereo', 'left', 'right', 'mix'];
+
+// Decode a local file. WAV files go through our own parser so every format it
+// knows (μ-law, A-law, 32-bit, extensible) loads regardless of browser codecs;
+// everything else (FLAC, MP3, …) uses decodeAudioData.
+export async function decodeAudioFile(ctx, file) {
+  const data = await file.arrayBuffer();
+  const head = new Uint8Array(data, 0, Math.min(4, data.byteLength));
+  if (String.fromCharCode(...head) === 'RIFF') {
+    try {
+      const wav = decodeWav(data);
+      const buffer = new AudioBuffer({
+        numberOfChannels: wav.numberOfChannels,
+        length: Math.max(1, wav.length),
+        sampleRate: wav.sampleRate
+      });
+      wav.channelData.forEach((samples, c) => buffer.getChannelData(c).set(samples));
+      return buffer;
+    } catch (e) {
+      console.warn('WAV parser failed, falling back to decodeAudioData:', e);
+    }
+  }
+  return ctx.decodeAudioData(data);
+}
+
+// Build a 2-channel AudioBuffer at `sampleRate` from a decoded file.
+// channelMode: 'stereo' keeps L/R, 'left'/'right' use one channel on both
+// sides, 'mix' averages all channels.
+export function prepareImportedBuffer(decoded, { sampleRate, channelMode = 'stereo' }) {
+  if (!IMPORT_CHANNEL_MODES.includes(channelMode)) {
+    throw new Error(`Unknown channel mode: ${channelMode}`);
+  }
+  
+  const nch = decoded.numberOfChannels;
+  const first = decoded.getChannelData(0);
+  let left, right;
+  
+  if (channelMode === 'mix') {
+    left = new Float32Array(decoded.length);
+    for (let c = 0; c < nch; c++) {
+      const data = decoded.getChannelData(c);
+      for (let i = 0; i < data.length; i++) left[i] += data[i] / nch;
+    }
+    right = left;
+  } else if (channelMode === 'left') {
+    left = right = first;
+  } else if (channelMode === 'right') {
+    left = right = (nch > 1) ? decoded.getChannelData(1) : first;
+  } else {
+    left = first;
+    right = (nch > 1) ? decoded.getChannelData(1) : first;
+  }
+  
+  // decodeAudioData normally returns the context rate already, but not every
+  // browser does
+  if (decoded.sampleRate !== sampleRate) {
+    const same = left === right;
+    left = resample(left, decoded.sampleRate, sampleRate);
+    right = same ? left : resample(right, decoded.sampleRate, sampleRate);
+  }
+  
+  const buffer = new AudioBuffer({ numberOfChannels: 2, length: left.length, sampleRate });
+  buffer.getChannelData(0).set(left);
+  buffer.getChannelData(1).set(right);
+  return buffer;
+}
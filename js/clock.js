@@ -0,0 +1,78 @@
+// Converter clock model: a nominal rate with a ppm offset plus random
+// (Gaussian) and sinusoidal (periodic) jitter. A clock spec is
+// { ppm, jitterRms, sineJitter, sineFreq, seed } with jitter in seconds.
+
+import { createRandom } from './random.js';
+import { resampleAt } from './resampler.js';
+
+export function hasClockError({ ppm = 0, jitterRms = 0, sineJitter = 0 } = {}) {
+  return ppm !== 0 || jitterRms > 0 || sineJitter > 0;
+}
+
+// Timing error (s) of each of `n` clock edges at `rate`: Gaussian plus
+// sinusoidal jitter. The same seed gives the same jitter, so channels
+// sharing one clock are sampled at the same instants.
+export function clockJitter(n, rate, { jitterRms = 0, sineJitter = 0, sineFreq = 1000, seed = 1 } = {}) {
+  const rng = createRandom(seed);
+  const jitter = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    const random = (jitterRms > 0) ? jitterRms * rng.gaussian() : 0;
+    jitter[k] = random + sineJitter * Math.sin(2 * Math.PI * sineFreq * k / rate);
+  }
+  return jitter;
+}
+
+// Instants (s) of `n` clock edges at the nominal `rate`, with jitter. A
+// positive `ppm` runs the clock fast.
+export function clockTimes(n, rate, clock = {}) {
+  const period = 1 / (rate * (1 + (clock.ppm || 0) * 1e-6));
+  const times = clockJitter(n, rate, clock);
+  for (let k = 0; k < n; k++) times[k] += k * period;
+  return times;
+}
+
+// Fractional indices into a sequence whose sample k is emitted at times[k],
+// read at `count` uniform instants of `rate` (as a DAC clocked by `times`
+// is heard by an ideal observer). Interpolates linearly between edges.
+export function clockPositions(times, rate, count) {
+  const positions = new Float64Array(count);
+  const last = times.length - 1;
+  if (last < 1) return positions;
+  let k = 0;
+  for (let i = 0; i < count; i++) {
+    const t = i / rate;
+    while (k < last - 1 && times[k + 1] <= t) k++;
+    const span = times[k + 1] - times[k];
+    positions[i] = k + (span > 0 ? (t - times[k]) / span : 0);
+  }
+  return positions;
+}
+
+// Sample `signal` (at `rate`) with a converter clock of nominal rate `fs`:
+// reads it at the clock's instants through the same anti-alias kernel as
+// resample() (or linear interpolation in naive mode). A slow clock takes
+// fewer samples, so its last instant stays inside the signal.
+export function clockedSample(signal, rate, fs, clock, { mode = 'polyphase' } = {}) {
+  const actualRate = fs * (1 + (clock.ppm || 0) * 1e-6);
+  const count = Math.min(Math.floor(signal.length * fs / rate), Math.floor((signal.length - 1) * actualRate / rate) + 1);
+  const positions = clockTimes(count, fs, clock).map(t => t * rate);
+  return resampleAt(signal, positions, { mode, cutoff: Math.min(1, fs / rate) });
+}
+
+// Total RMS jitter (s): random plus the sinusoid's peak / √2
+export function totalJitter({ jitterRms = 0, sineJitter = 0 } = {}) {
+  return Math.sqrt(jitterRms * jitterRms + sineJitter * sineJitter / 2);
+}
+
+// Jitter-limited SNR (dB) of a full-scale-relative sine at `freq`:
+// −20·log10(2π·f·σ)
+export function jitterSnrTheory(freq, clock) {
+  const sigma = totalJitter(clock);
+  return (sigma > 0) ? -20 * Math.log10(2 * Math.PI * freq * sigma) : Infinity;
+}
+
+// Level (dBc) of each sideband that sinusoidal jitter puts at f ± sineFreq
+// (narrowband phase modulation of index 2π·f·A)
+export function sidebandTheory(freq, { sineJitter = 0 } = {}) {
+  return (sineJitter > 0) ? 20 * Math.log10(Math.PI * freq * sineJitter) : -Infinity;
+}
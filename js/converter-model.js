@@ -0,0 +1,142 @@
+// Non-ideal converter: DC offset, gain error, integral and differential
+// nonlinearity, missing codes and overload behaviour, as a replacement for the
+// ideal linear PCM quantizer (see pcmQuantizer)
+
+import { clamp } from './utils.js';
+import { hashUniform, deriveSeed } from './random.js';
+
+export const OVERLOAD_MODES = ['hard', 'soft', 'wrap'];
+
+// INL curves over the input range [−1, 1] with a peak of 1 and zero error at
+// both ends (endpoint fit): a bow (even order, compressing one half of the
+// range and expanding the other) or an S curve (odd order, symmetric)
+export const INL_SHAPES = {
+  bow: x => 1 - x * x,
+  's-curve': x => (3 * Math.sqrt(3) / 2) * x * (1 - x * x)
+};
+
+// Soft clipping leaves the signal untouched up to this fraction of full scale
+const SOFT_KNEE = 0.7;
+
+// Random code transitions stay within ±½ LSB of their ideal position, so no
+// code vanishes unless it is made missing on purpose
+const MAX_TRANSITION_SHIFT = 0.49;
+
+// Highest share of missing codes (%), so most inputs find a surviving code
+// within a few steps
+export const MAX_MISSING_CODES = 50;
+
+// Longest run of missing codes skipped over (odds 2⁻⁶⁴ at MAX_MISSING_CODES);
+// a longer run outputs its last code anyway
+const MAX_MISSING_RUN = 64;
+
+// Smooth saturation towards full scale above SOFT_KNEE
+function softClip(x) {
+  const a = Math.abs(x);
+  if (a <= SOFT_KNEE) return x;
+  const range = 1 - SOFT_KNEE;
+  return Math.sign(x) * (SOFT_KNEE + range * Math.tanh((a - SOFT_KNEE) / range));
+}
+
+// Standard normal value for code `k` (Box–Muller over two hashed uniforms)
+function codeGaussian(seed, k) {
+  const u = 1 - hashUniform(seed, 2 * k);
+  const v = hashUniform(seed, 2 * k + 1);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// True when `spec` leaves the converter ideal
+export function isIdealConverter(spec) {
+  if (!spec) return true;
+  const { offset = 0, gainError = 0, inl = 0, dnl = 0, missingCodes = 0, overload = 'hard' } = spec;
+  return !offset && !gainError && !inl && !dnl && !missingCodes && overload === 'hard';
+}
+
+// Converter for the grid of pcmQuantizer(bits) (`peak`, `step`, `levels`).
+// `input` applies the offset (LSB) and gain error (%), `overload` the analog
+// behaviour beyond full scale and `code` the nonlinear quantizer, which
+// returns integer codes like pcmQuantizer's. INL is the peak deviation in
+// LSB of the transfer curve from the endpoint line, DNL the RMS error in LSB
+// of each code transition, and `missingCodes` the percentage of codes that
+// are never output (up to MAX_MISSING_CODES). The per-code errors come from
+// `seed`, so a converter is the same part on every render. With wrap-around,
+// codes beyond full scale overflow two's complement to the other end of the
+// range, where the extra code −(peak + 1) reads as −peak to keep the grid
+// symmetric like pcmQuantizer's; 1-bit converters only have offset, gain and
+// overload.
+export function createConverterModel({ peak, step, levels }, { offset = 0, gainError = 0, inl = 0, inlShape = 'bow', dnl = 0, missingCodes = 0, overload = 'hard', seed = 1 } = {}) {
+  const gain = 1 + gainError / 100;
+  const input = x => x * gain + offset * step;
+  const analog = (overload === 'soft') ? softClip
+    : (overload === 'wrap') ? (x => x)
+    : (x => clamp(x, -1, 1));
+
+  if (levels === 2) {
+    return { input, overload: analog, code: v => (v >= 0 ? 1 : -1) };
+  }
+
+  const curve = INL_SHAPES[inlShape] || INL_SHAPES.bow;
+  const dnlSeed = deriveSeed(seed, 'dnl');
+  const missingSeed = deriveSeed(seed, 'missing-codes');
+  const missingFraction = clamp(missingCodes, 0, MAX_MISSING_CODES) / 100;
+
+  // Transition from code k to k + 1, in LSB
+  const transition = k => k + 0.5 + clamp(dnl * codeGaussian(dnlSeed, k), -MAX_TRANSITION_SHIFT, MAX_TRANSITION_SHIFT);
+  const isMissing = k => hashUniform(missingSeed, k) < missingFraction;
+  // Two's complement overflow over the 2^bits codes −(peak + 1) … peak
+  const span = 2 * (peak + 1);
+  const wrap = c => ((c + peak + 1) % span + span) % span - (peak + 1);
+
+  const code = v => {
+    const u = v * peak + inl * curve(clamp(v, -1, 1));
+    let c = Math.round(u);
+    if (dnl > 0) {
+      if (u >= transition(c)) c++;
+      else if (u < transition(c - 1)) c--;
+    }
+    // A missing code has zero width: its inputs go to the nearest neighbour
+    // on their side of its centre
+    if (missingFraction > 0 && isMissing(c)) {
+      const dir = (u < c) ? -1 : 1;
+      for (let i = 0; i < MAX_MISSING_RUN && isMissing(c); i++) c += dir;
+    }
+    return clamp((overload === 'wrap') ? wrap(c) : c, -peak, peak);
+  };
+
+  return { input, overload: analog, code };
+}
+
+// Transfer-curve errors of the model for plotting: INL and DNL (LSB) for
+// `points` codes spread across the range, and which of them are missing
+export function converterErrors(quantizer, spec, { points = 512 } = {}) {
+  const model = createConverterModel(quantizer, { ...spec, overload: 'hard' });
+  const { peak } = quantizer;
+  const codes = [];
+  const inl = [];
+  const dnl = [];
+  const missing = [];
+  if (quantizer.levels === 2) return { codes, inl, dnl, missing };
+
+  // Locate each transition by bisection on the input (in LSB)
+  const reach = 2 + Math.abs(spec.inl || 0) * 3;
+  const transitionAt = k => {
+    let lo = k - reach;
+    let hi = k + reach;
+    for (let i = 0; i < 40; i++) {
+      const mid = 0.5 * (lo + hi);
+      if (model.code(mid / peak) > k) hi = mid;
+      else lo = mid;
+    }
+    return 0.5 * (lo + hi);
+  };
+  const stride = Math.max(1, Math.floor((2 * peak - 1) / points));
+  for (let k = -peak + 1; k < peak; k += stride) {
+    const lower = transitionAt(k - 1);
+    const upper = transitionAt(k);
+    codes.push(k);
+    inl.push(k - 0.5 * (lower + upper));
+    dnl.push(upper - lower - 1);
+    missing.push(upper - lower < 1e-6);
+  }
+  return { codes, inl, dnl, missing };
+}
@@ -0,0 +1,186 @@
+// Delta-sigma converters. The oversampling DAC interpolates to OSR·fs, runs
+// a 1-bit or multibit modulator that shapes its quantization noise out of the
+// signal band, and low-passes back down to the output rate; the 1-bit ADC
+// modulates the analog signal at a multiple of fs and decimates it to PCM.
+
+import { clamp } from './utils.js';
+import { resample } from './resampler.js';
+import { designFilter } from './filter-design.js';
+import { welchSpectrum } from './fft.js';
+
+export const DSM_INTERPOLATION = ['sinc', 'linear', 'hold'];
+
+// Out-of-band gain of the noise transfer function. Lee's rule keeps 1-bit
+// loops stable below ~2; 1.5 leaves margin up to 5th order.
+const NTF_MAX_GAIN = 1.5;
+
+// The modulator runs 6 dB below full scale, where high-order 1-bit loops are
+// still stable; the analog stage restores the gain
+const HEADROOM = 0.5;
+
+// Loop states beyond this are treated as a diverged (overloaded) modulator
+const RESET_LEVEL = 8;
+
+// Product of two polynomials in z⁻¹
+function polyMul(p, q) {
+  const out = new Array(p.length + q.length - 1).fill(0);
+  p.forEach((pi, i) => q.forEach((qj, j) => { out[i + j] += pi * qj; }));
+  return out;
+}
+
+// Noise transfer function (1 − z⁻¹)^order / A(z), with A the poles of a
+// Butterworth high-pass whose cutoff is tuned so the gain at Nyquist is
+// `hInf` (as in Schreier's synthesizeNTF without optimized zeros).
+// Returns the numerator and denominator in z⁻¹.
+export function synthesizeNTF(order, hInf = NTF_MAX_GAIN) {
+  let b = [1];
+  for (let i = 0; i < order; i++) b = polyMul(b, [1, -1]);
+
+  // Designed at an arbitrary rate; only the cutoff / rate ratio matters
+  const rate = 1e6;
+  const denominator = cutoff => {
+    const { sos } = designFilter({ type: 'highpass', family: 'butterworth', order, cutoff }, rate);
+    const a = sos.reduce((acc, s) => polyMul(acc, s.a), [1]);
+    return a.slice(0, order + 1);
+  };
+  // |NTF(−1)| = 2^order / |A(−1)| grows with the cutoff
+  const gainAtNyquist = a => Math.pow(2, order) / Math.abs(a.reduce((sum, ak, k) => sum + ((k & 1) ? -ak : ak), 0));
+  let lo = Math.log(1);
+  let hi = Math.log(0.49 * rate);
+  for (let i = 0; i < 60; i++) {
+    const mid = 0.5 * (lo + hi);
+    if (gainAtNyquist(denominator(Math.exp(mid))) > hInf) hi = mid;
+    else lo = mid;
+  }
+  return { b, a: denominator(Math.exp(lo)) };
+}
+
+// Error-feedback modulator with unity signal transfer and noise transfer
+// B/A: v = x + ((B − A)/A)·e, y = Q(v), e = y − v. The quantizer has 2^bits
+// levels across ±1 (1 bit: ±1). Diverged loops are reset and counted.
+export function deltaSigmaModulate(x, { order = 3, bits = 1 } = {}) {
+  const { b, a } = synthesizeNTF(order);
+  const taps = order + 1;
+  const c = b.map((bk, k) => bk - a[k]);
+  const levels = Math.pow(2, bits);
+  const step = 2 / (levels - 1);
+
+  // Past errors and feedback outputs, newest first
+  const eHist = new Float64Array(taps);
+  const wHist = new Float64Array(taps);
+  const y = new Float32Array(x.length);
+  let overloads = 0;
+
+  for (let n = 0; n < x.length; n++) {
+    let w = 0;
+    for (let k = 1; k < taps; k++) w += c[k] * eHist[k - 1] - a[k] * wHist[k - 1];
+    const v = x[n] + w;
+    const out = clamp(Math.round((v + 1) / step) * step - 1, -1, 1);
+    let e = out - v;
+    if (Math.abs(v) > RESET_LEVEL) {
+      overloads++;
+      eHist.fill(0);
+      wHist.fill(0);
+      w = 0;
+      e = 0;
+    }
+    eHist.copyWithin(1, 0);
+    wHist.copyWithin(1, 0);
+    eHist[0] = e;
+    wHist[0] = w;
+    y[n] = out;
+  }
+  return { y, overloads };
+}
+
+// Interpolate `q` by the integer factor `osr`: windowed-sinc (polyphase),
+// linear or sample-and-hold
+function interpolate(q, fsIn, osr, mode) {
+  if (mode === 'sinc') return resample(q, fsIn, fsIn * osr, { mode: 'polyphase', taps: 32 });
+  const y = new Float32Array(q.length * osr);
+  const last = q.length - 1;
+  for (let n = 0; n < q.length; n++) {
+    const next = (mode === 'linear' && n < last) ? q[n + 1] : q[n];
+    for (let i = 0; i < osr; i++) y[n * osr + i] = q[n] + (next - q[n]) * (i / osr);
+  }
+  return y;
+}
+
+// Longest modulator run per channel (DAC and ADC), a few seconds of work on
+// the main thread; longer recordings are modulated at a lower oversampling
+// ratio
+export const MAX_MODULATOR_SAMPLES = 1 << 23;
+
+// Full DAC path from the recording at fsIn to the output rate fsOut. Returns
+// the output, the modulator bit stream and its input at `rate` = osr·fsIn,
+// the ratio used (`osr` is halved until the run fits MAX_MODULATOR_SAMPLES)
+// and the number of modulator overloads.
+export function deltaSigmaDAC(q, fsIn, fsOut, { osr = 64, interpolation = 'sinc', order = 3, bits = 1 } = {}) {
+  let ratio = osr;
+  while (ratio > 1 && q.length * ratio > MAX_MODULATOR_SAMPLES) ratio = Math.floor(ratio / 2);
+  const rate = fsIn * ratio;
+  const input = interpolate(q, fsIn, ratio, interpolation);
+  for (let i = 0; i < input.length; i++) input[i] *= HEADROOM;
+  const { y: stream, overloads } = deltaSigmaModulate(input, { order, bits });
+
+  // Analog reconstruction: the resampler's low-pass at the output Nyquist
+  const output = resample(stream, rate, fsOut, { mode: 'polyphase', taps: 32 });
+  for (let i = 0; i < output.length; i++) output[i] /= HEADROOM;
+  return { output, stream, input, rate, osr: ratio, overloads };
+}
+
+// Pack a ±1 stream into bytes, MSB first, with bit 1 for +1
+function packBits(stream) {
+  const bytes = new Uint8Array(Math.ceil(stream.length / 8));
+  for (let n = 0; n < stream.length; n++) {
+    if (stream[n] > 0) bytes[n >> 3] |= 0x80 >> (n & 7);
+  }
+  return bytes;
+}
+
+// 1-bit sigma-delta ADC: the analog signal is brought to `multiple`·fs,
+// modulated to a ±1 stream and decimated to PCM at fs by a windowed-sinc
+// low-pass. `multiple` is halved until the run fits MAX_MODULATOR_SAMPLES.
+// Returns the PCM, the packed stream (see packBits) with its length, rate
+// and multiple, and the number of modulator overloads.
+export function deltaSigmaADC(analog, analogRate, fs, { multiple = 64, order = 5 } = {}) {
+  const length = Math.ceil(analog.length * fs / analogRate);
+  let ratio = multiple;
+  while (ratio > 1 && length * ratio > MAX_MODULATOR_SAMPLES) ratio = Math.floor(ratio / 2);
+  const rate = fs * ratio;
+  const input = resample(analog, analogRate, rate, { mode: 'polyphase', taps: 32 });
+  for (let i = 0; i < input.length; i++) input[i] *= HEADROOM;
+  const { y: stream, overloads } = deltaSigmaModulate(input, { order, bits: 1 });
+
+  const pcm = resample(stream, rate, fs, { mode: 'polyphase', taps: 32 });
+  for (let i = 0; i < pcm.length; i++) pcm[i] /= HEADROOM;
+  return { pcm, bits: packBits(stream), length: stream.length, rate, multiple: ratio, overloads };
+}
+
+// Spectrum of the bit stream (from its first `maxSamples`) with the in-band
+// SNR and the out-of-band to in-band noise ratio, both in dB. `bandEdge` is
+// the recording Nyquist frequency.
+export function shapedNoiseLevels({ stream, input, rate }, bandEdge, { size = 16384, maxSamples = 1 << 20 } = {}) {
+  const len = Math.min(stream.length, maxSamples);
+  const error = new Float32Array(len);
+  for (let i = 0; i < len; i++) error[i] = stream[i] - input[i];
+  const spectrum = welchSpectrum(stream.subarray(0, len), { size });
+  const signalDb = welchSpectrum(input.subarray(0, len), { size });
+  const noiseDb = welchSpectrum(error, { size });
+
+  const binHz = rate / (2 * (spectrum.length - 1));
+  let signal = 0;
+  let inBand = 0;
+  let outOfBand = 0;
+  for (let k = 1; k < spectrum.length; k++) {
+    const noise = Math.pow(10, noiseDb[k] / 10);
+    if (k * binHz <= bandEdge) {
+      signal += Math.pow(10, signalDb[k] / 10);
+      inBand += noise;
+    } else {
+      outOfBand += noise;
+    }
+  }
+  const toDb = ratio => 10 * Math.log10(Math.max(ratio, 1e-30));
+  return { spectrum, snr: toDb(signal / inBand), outOfBandDb: toDb(outOfBand / inBand) };
+}
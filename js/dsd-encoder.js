@@ -0,0 +1,132 @@
+// DSD file encoding: Sony DSF and Philips DSDIFF (DFF), uncompressed 1-bit.
+// Channels are { bits, length } streams packed MSB first with bit 1 = +1
+// (see deltaSigmaADC).
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+}
+
+// 64-bit size fields, as two 32-bit halves
+function setUint64(view, offset, value, littleEndian) {
+  const hi = Math.floor(value / 0x100000000);
+  const lo = value >>> 0;
+  view.setUint32(offset, littleEndian ? lo : hi, littleEndian);
+  view.setUint32(offset + 4, littleEndian ? hi : lo, littleEndian);
+}
+
+// Bit-reversed bytes, for DSF's LSB-first order
+const REVERSED = Uint8Array.from({ length: 256 }, (_, b) => {
+  let r = 0;
+  for (let i = 0; i < 8; i++) r |= ((b >> i) & 1) << (7 - i);
+  return r;
+});
+
+// DSF block size per channel
+const DSF_BLOCK = 4096;
+
+// DSF: little-endian 'DSD ', 'fmt ' and 'data' chunks. Each channel is
+// written in 4096-byte blocks, LSB first, the last block zero-padded.
+export function encodeDsf(channels, sampleRate) {
+  const ch = channels.length;
+  const sampleCount = channels[0].length;
+  const blocks = Math.ceil(Math.ceil(sampleCount / 8) / DSF_BLOCK);
+  const dataSize = blocks * DSF_BLOCK * ch;
+  const buffer = new ArrayBuffer(92 + dataSize);
+  const view = new DataView(buffer);
+
+  // DSD chunk
+  writeString(view, 0, 'DSD ');
+  setUint64(view, 4, 28, true);
+  setUint64(view, 12, 92 + dataSize, true);  // total file size
+  setUint64(view, 20, 0, true);              // no ID3 metadata
+  
+  // fmt chunk
+  writeString(view, 28, 'fmt ');
+  setUint64(view, 32, 52, true);
+  view.setUint32(40, 1, true);               // format version
+  view.setUint32(44, 0, true);               // format ID 0 = DSD raw
+  view.setUint32(48, ch === 1 ? 1 : 2, true); // channel type (mono or stereo)
+  view.setUint32(52, ch, true);
+  view.setUint32(56, sampleRate, true);
+  view.setUint32(60, 1, true);               // bits per sample (1 = LSB first)
+  setUint64(view, 64, sampleCount, true);
+  view.setUint32(72, DSF_BLOCK, true);
+  view.setUint32(76, 0, true);               // reserved
+  
+  // data chunk
+  writeString(view, 80, 'data');
+  setUint64(view, 84, 12 + dataSize, true);
+
+  const out = new Uint8Array(buffer, 92);
+  for (let b = 0; b < blocks; b++) {
+    channels.forEach(({ bits }, c) => {
+      const base = (b * ch + c) * DSF_BLOCK;
+      const start = b * DSF_BLOCK;
+      const end = Math.min(bits.length, start + DSF_BLOCK);
+      for (let i = start; i < end; i++) out[base + i - start] = REVERSED[bits[i]];
+    });
+  }
+  
+  return new Blob([buffer], { type: 'audio/dsf' });
+}
+
+// DSDIFF: big-endian 'FRM8' form with version, properties (rate, channels,
+// no compression) and a 'DSD ' chunk of byte-interleaved channels, MSB first
+export function encodeDff(channels, sampleRate) {
+  const ch = channels.length;
+  const bytesPerChannel = channels[0].bits.length;
+  const dataSize = bytesPerChannel * ch;
+  const pad = dataSize & 1; // chunks are padded to an even length
+  const ids = (ch === 1) ? ['C   '] : ['SLFT', 'SRGT'];
+
+  // Property chunk: 'SND ' + FS (12 + 4) + CHNL (12 + 2 + 4·ch) + CMPR (12 + 19 + pad)
+  const chnlSize = 2 + 4 * ch;
+  const propSize = 4 + 16 + 12 + chnlSize + 32;
+  const headerSize = 16 + 16 + 12 + propSize + 12;
+  const buffer = new ArrayBuffer(headerSize + dataSize + pad);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, 'FRM8');
+  setUint64(view, 4, buffer.byteLength - 12, false);
+  writeString(view, 12, 'DSD ');
+  
+  // Format version 1.5.0.0
+  writeString(view, 16, 'FVER');
+  setUint64(view, 20, 4, false);
+  view.setUint32(28, 0x01050000, false);
+  
+  writeString(view, 32, 'PROP');
+  setUint64(view, 36, propSize, false);
+  writeString(view, 44, 'SND ');
+  
+  writeString(view, 48, 'FS  ');
+  setUint64(view, 52, 4, false);
+  view.setUint32(60, sampleRate, false);
+  
+  writeString(view, 64, 'CHNL');
+  setUint64(view, 68, chnlSize, false);
+  view.setUint16(76, ch, false);
+  ids.forEach((id, c) => writeString(view, 78 + 4 * c, id));
+  
+  // Compression type 'DSD ' with its Pascal-string name (19 bytes, plus a
+  // pad byte)
+  let off = 76 + chnlSize;
+  writeString(view, off, 'CMPR');
+  setUint64(view, off + 4, 19, false);
+  writeString(view, off + 12, 'DSD ');
+  view.setUint8(off + 16, 14);
+  writeString(view, off + 17, 'not compressed');
+  off += 32;
+  
+  writeString(view, off, 'DSD ');
+  setUint64(view, off + 4, dataSize, false);
+
+  const out = new Uint8Array(buffer, headerSize);
+  channels.forEach(({ bits }, c) => {
+    for (let i = 0; i < bytesPerChannel; i++) out[i * ch + c] = bits[i];
+  });
+  
+  return new Blob([buffer], { type: 'audio/dff' });
+}
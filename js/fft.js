@@ -0,0 +1,289 @@
+// Fast Fourier transform and windowing helpers
+
+// Twiddle tables are cached per transform size
+const twiddleCache = new Map();
+
+export function isPowerOf2(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+function getTwiddles(n) {
+  let tw = twiddleCache.get(n);
+  if (!tw) {
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+      const angle = -2 * Math.PI * k / n;
+      cos[k] = Math.cos(angle);
+      sin[k] = Math.sin(angle);
+    }
+    tw = { cos, sin };
+    twiddleCache.set(n, tw);
+  }
+  return tw;
+}
+
+// In-place iterative radix-2 complex FFT (forward, unnormalized)
+export function fftInPlace(re, im) {
+  const n = re.length;
+  if (!isPowerOf2(n) || im.length !== n) {
+    throw new Error(`FFT size must be a power of two (got ${n})`);
+  }
+  if (n === 1) return;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  // Butterflies
+  const { cos, sin } = getTwiddles(n);
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const xr = re[b] * wr - im[b] * wi;
+        const xi = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - xr;
+        im[b] = im[a] - xi;
+        re[a] += xr;
+        im[a] += xi;
+      }
+    }
+  }
+}
+
+// In-place inverse complex FFT (normalized by 1/N)
+export function ifftInPlace(re, im) {
+  const n = re.length;
+  for (let i = 0; i < n; i++) im[i] = -im[i];
+  fftInPlace(re, im);
+  for (let i = 0; i < n; i++) {
+    re[i] /= n;
+    im[i] = -im[i] / n;
+  }
+}
+
+// Complex FFT returning new arrays
+export function fft(re, im = null, size = re.length) {
+  const outRe = new Float64Array(size);
+  const outIm = new Float64Array(size);
+  outRe.set(re.length > size ? re.subarray(0, size) : re);
+  if (im) outIm.set(im.length > size ? im.subarray(0, size) : im);
+  fftInPlace(outRe, outIm);
+  return { re: outRe, im: outIm };
+}
+
+export function ifft(re, im) {
+  const outRe = Float64Array.from(re);
+  const outIm = Float64Array.from(im);
+  ifftInPlace(outRe, outIm);
+  return { re: outRe, im: outIm };
+}
+
+// Real-input FFT. Packs the N real samples into an N/2-point complex FFT and
+// splits the result, returning bins 0..N/2 (DC to Nyquist). Input shorter than
+// `size` is zero-padded.
+export function rfft(signal, size = signal.length) {
+  if (!isPowerOf2(size) || size < 2) {
+    throw new Error(`FFT size must be a power of two (got ${size})`);
+  }
+  const half = size / 2;
+  const zr = new Float64Array(half);
+  const zi = new Float64Array(half);
+  const len = Math.min(signal.length, size);
+  for (let i = 0; i < len; i++) {
+    if (i & 1) zi[i >> 1] = signal[i];
+    else zr[i >> 1] = signal[i];
+  }
+  fftInPlace(zr, zi);
+
+  const re = new Float64Array(half + 1);
+  const im = new Float64Array(half + 1);
+  const { cos, sin } = getTwiddles(size);
+  for (let k = 0; k <= half; k++) {
+    const k1 = k % half;
+    const k2 = (half - k) % half;
+    // Even and odd sample spectra
+    const er = 0.5 * (zr[k1] + zr[k2]);
+    const ei = 0.5 * (zi[k1] - zi[k2]);
+    const or = 0.5 * (zi[k1] + zi[k2]);
+    const oi = -0.5 * (zr[k1] - zr[k2]);
+    const wr = k < half ? cos[k] : -1;
+    const wi = k < half ? sin[k] : 0;
+    re[k] = er + wr * or - wi * oi;
+    im[k] = ei + wr * oi + wi * or;
+  }
+  return { re, im };
+}
+
+// Inverse of rfft: takes bins 0..N/2 and returns N real samples
+export function irfft(re, im, size = (re.length - 1) * 2) {
+  const fullRe = new Float64Array(size);
+  const fullIm = new Float64Array(size);
+  const half = size / 2;
+  for (let k = 0; k <= half; k++) {
+    fullRe[k] = re[k];
+    fullIm[k] = im[k];
+  }
+  // Hermitian symmetry for the negative frequencies
+  for (let k = 1; k < half; k++) {
+    fullRe[size - k] = re[k];
+    fullIm[size - k] = -im[k];
+  }
+  ifftInPlace(fullRe, fullIm);
+  return fullRe;
+}
+
+// Zeroth-order modified Bessel function of the first kind (for Kaiser windows)
+export function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  const half = x / 2;
+  for (let k = 1; k < 50; k++) {
+    term *= (half / k) * (half / k);
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+// Window functions
+export const WINDOW_TYPES = ['rectangular', 'hann', 'hamming', 'blackman', 'blackman-harris', 'flattop', 'kaiser'];
+
+export function createWindow(type, n, { beta = 8 } = {}) {
+  const w = new Float32Array(n);
+  const M = n > 1 ? n - 1 : 1;
+  const cosineSum = coeffs => {
+    for (let i = 0; i < n; i++) {
+      let v = 0;
+      for (let k = 0; k < coeffs.length; k++) {
+        v += ((k & 1) ? -1 : 1) * coeffs[k] * Math.cos(2 * Math.PI * k * i / M);
+      }
+      w[i] = v;
+    }
+  };
+
+  switch (type) {
+    case 'rectangular':
+      w.fill(1);
+      break;
+    case 'hann':
+      cosineSum([0.5, 0.5]);
+      break;
+    case 'hamming':
+      cosineSum([0.54, 0.46]);
+      break;
+    case 'blackman':
+      cosineSum([0.42, 0.5, 0.08]);
+      break;
+    case 'blackman-harris':
+      cosineSum([0.35875, 0.48829, 0.14128, 0.01168]);
+      break;
+    case 'flattop':
+      cosineSum([0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]);
+      break;
+    case 'kaiser': {
+      const denom = besselI0(beta);
+      for (let i = 0; i < n; i++) {
+        const r = 2 * i / M - 1;
+        w[i] = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / denom;
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown window type: ${type}`);
+  }
+  return w;
+}
+
+// Coherent gain (mean of the window), used to normalize amplitude spectra
+export function windowCoherentGain(win) {
+  let sum = 0;
+  for (let i = 0; i < win.length; i++) sum += win[i];
+  return sum / win.length;
+}
+
+// Multiply a signal by a window, reading `win.length` samples from `offset`
+export function applyWindow(signal, win, offset = 0) {
+  const out = new Float32Array(win.length);
+  for (let i = 0; i < win.length; i++) {
+    const idx = offset + i;
+    out[i] = idx < signal.length ? signal[idx] * win[i] : 0;
+  }
+  return out;
+}
+
+// Single-sided amplitude spectrum (bins 0..N/2). A full-scale sine at a bin
+// centre reads as 1.0 regardless of the window.
+export function amplitudeSpectrum(signal, { size = signal.length, window = 'hann', offset = 0 } = {}) {
+  const win = createWindow(window, Math.min(size, signal.length - offset));
+  const { re, im } = rfft(applyWindow(signal, win, offset), size);
+  const scale = 2 / (win.length * windowCoherentGain(win));
+  const mag = new Float32Array(re.length);
+  for (let k = 0; k < re.length; k++) {
+    mag[k] = Math.hypot(re[k], im[k]) * scale;
+  }
+  mag[0] /= 2;
+  mag[mag.length - 1] /= 2;
+  return mag;
+}
+
+// Short-time Fourier transform. Returns per-frame amplitude spectra in dBFS,
+// stored frame-major in a flat array (frame f, bin k at f * nBins + k).
+export function stft(signal, { size = 1024, hop = size / 4, window = 'hann', floorDb = -160 } = {}) {
+  const win = createWindow(window, size);
+  const scale = 2 / (size * windowCoherentGain(win));
+  const nBins = size / 2 + 1;
+  const nFrames = Math.max(1, Math.floor((signal.length - size) / hop) + 1);
+  const db = new Float32Array(nFrames * nBins);
+  const minMag = Math.pow(10, floorDb / 20);
+
+  for (let f = 0; f < nFrames; f++) {
+    const { re, im } = rfft(applyWindow(signal, win, f * hop), size);
+    const base = f * nBins;
+    for (let k = 0; k < nBins; k++) {
+      const mag = Math.hypot(re[k], im[k]) * scale;
+      db[base + k] = 20 * Math.log10(Math.max(minMag, mag));
+    }
+  }
+  return { db, nFrames, nBins, size, hop };
+}
+
+// Averaged power spectrum (Welch's method) in dBFS, bins 0..size/2.
+// A full-scale sine reads 0 dB; broadband noise reads its power per bin.
+// Short signals fall back to the largest power-of-two frame that fits.
+export function welchSpectrum(signal, { size = 2048, window = 'hann', floorDb = -200 } = {}) {
+  const fftSize = Math.min(size, Math.pow(2, Math.floor(Math.log2(Math.max(2, signal.length)))));
+  const hop = fftSize / 2;
+  const win = createWindow(window, fftSize);
+  const scale = 2 / (fftSize * windowCoherentGain(win));
+  const nBins = fftSize / 2 + 1;
+  const nFrames = Math.max(1, Math.floor((signal.length - fftSize) / hop) + 1);
+  const power = new Float64Array(nBins);
+
+  for (let f = 0; f < nFrames; f++) {
+    const { re, im } = rfft(applyWindow(signal, win, f * hop), fftSize);
+    for (let k = 0; k < nBins; k++) {
+      power[k] += (re[k] * re[k] + im[k] * im[k]) * scale * scale;
+    }
+  }
+
+  const db = new Float32Array(nBins);
+  const minPower = Math.pow(10, floorDb / 10);
+  for (let k = 0; k < nBins; k++) {
+    db[k] = 10 * Math.log10(Math.max(minPower, power[k] / nFrames));
+  }
+  return db;
+}
@@ -0,0 +1,671 @@
+// Digital filter design: Butterworth, Chebyshev I/II and elliptic IIR filters
+// (analog prototype + bilinear transform, as second-order sections) and
+// linear-phase FIR filters (Kaiser-windowed sinc or Parks-McClellan)
+
+import { createWindow } from './fft.js';
+
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+export const FILTER_FAMILIES = ['butterworth', 'cheby1', 'cheby2', 'elliptic', 'fir-window', 'fir-pm'];
+
+// Highest IIR order designed. Beyond it the poles crowd the unit circle and
+// the prototypes lose precision; elliptic poles get there first.
+export const MAX_IIR_ORDER = 20;
+const MAX_ELLIPTIC_ORDER = 12;
+
+export const iirOrderLimit = family => (family === 'elliptic' ? MAX_ELLIPTIC_ORDER : MAX_IIR_ORDER);
+
+// Minimal complex arithmetic on { re, im }
+const C = (re, im = 0) => ({ re, im });
+const add = (a, b) => C(a.re + b.re, a.im + b.im);
+const sub = (a, b) => C(a.re - b.re, a.im - b.im);
+const mul = (a, b) => C(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const scale = (a, s) => C(a.re * s, a.im * s);
+const conj = a => C(a.re, -a.im);
+const abs = a => Math.hypot(a.re, a.im);
+function div(a, b) {
+  const d = b.re * b.re + b.im * b.im;
+  return C((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+}
+function csqrt(a) {
+  const r = abs(a);
+  const re = Math.sqrt(Math.max(0, (r + a.re) / 2));
+  const im = Math.sqrt(Math.max(0, (r - a.re) / 2));
+  return C(re, a.im < 0 ? -im : im);
+}
+const clog = a => C(Math.log(abs(a)), Math.atan2(a.im, a.re));
+const ccos = a => C(Math.cos(a.re) * Math.cosh(a.im), -Math.sin(a.re) * Math.sinh(a.im));
+const csin = a => C(Math.sin(a.re) * Math.cosh(a.im), Math.cos(a.re) * Math.sinh(a.im));
+// acos(z) = −i·ln(z + i·√(1 − z²))
+function cacos(a) {
+  const w = clog(add(a, mul(C(0, 1), csqrt(sub(C(1), mul(a, a))))));
+  return C(w.im, -w.re);
+}
+const prod = list => list.reduce((acc, v) => mul(acc, v), C(1));
+
+// Π nums / Π dens, alternating factors so that high orders neither overflow
+// nor underflow on the way
+function prodRatio(nums, dens) {
+  let acc = C(1);
+  for (let i = 0; i < Math.max(nums.length, dens.length); i++) {
+    if (i < nums.length) acc = mul(acc, nums[i]);
+    if (i < dens.length) acc = div(acc, dens[i]);
+  }
+  return acc;
+}
+
+// Elliptic functions via Landen transformations (Orfanidis, "Lecture Notes
+// on Elliptic Filter Design")
+const LANDEN_STEPS = 7;
+
+function landen(k) {
+  const v = [];
+  for (let i = 0; i < LANDEN_STEPS; i++) {
+    const kp = Math.sqrt(1 - k * k);
+    k = Math.pow(k / (1 + kp), 2);
+    v.push(k);
+  }
+  return v;
+}
+
+// cd(u·K, k) and sn(u·K, k) for complex u
+function cde(u, k) {
+  const v = landen(k);
+  let w = ccos(scale(u, Math.PI / 2));
+  for (let i = v.length - 1; i >= 0; i--) {
+    w = div(scale(w, 1 + v[i]), add(C(1), scale(mul(w, w), v[i])));
+  }
+  return w;
+}
+
+function sne(u, k) {
+  const v = landen(k);
+  let w = csin(scale(u, Math.PI / 2));
+  for (let i = v.length - 1; i >= 0; i--) {
+    w = div(scale(w, 1 + v[i]), add(C(1), scale(mul(w, w), v[i])));
+  }
+  return w;
+}
+
+// Inverse of sne: u such that sn(u·K, k) = w
+function asne(w, k) {
+  const v = landen(k);
+  for (let i = 0; i < v.length; i++) {
+    const kPrev = (i === 0) ? k : v[i - 1];
+    const root = csqrt(sub(C(1), scale(mul(w, w), kPrev * kPrev)));
+    w = scale(div(w, add(C(1), root)), 2 / (1 + v[i]));
+  }
+  // sn(u) = cos((1 − u)·π/2) at the end of the descending sequence
+  const u = scale(cacos(w), 2 / Math.PI);
+  return sub(C(1), u);
+}
+
+// Selectivity k of an order-N elliptic filter with discrimination k1
+function ellipdeg(N, k1) {
+  const k1p = Math.sqrt(1 - k1 * k1);
+  const L = Math.floor(N / 2);
+  let kp = Math.pow(k1p, N);
+  for (let i = 1; i <= L; i++) {
+    kp *= Math.pow(sne(C((2 * i - 1) / N), k1p).re, 4);
+  }
+  return Math.sqrt(1 - kp * kp);
+}
+
+// Analog low-pass prototypes with a 1 rad/s edge: { z, p, k }
+function butterworthPrototype(N) {
+  const p = [];
+  for (let i = 0; i < N; i++) {
+    const theta = Math.PI * (2 * i + N + 1) / (2 * N);
+    p.push(C(Math.cos(theta), Math.sin(theta)));
+  }
+  return { z: [], p, k: 1 };
+}
+
+function cheby1Prototype(N, rippleDb) {
+  const eps = Math.sqrt(Math.pow(10, rippleDb / 10) - 1);
+  const mu = Math.asinh(1 / eps) / N;
+  const p = [];
+  for (let i = 0; i < N; i++) {
+    const theta = Math.PI * (2 * i + 1) / (2 * N);
+    p.push(C(-Math.sinh(mu) * Math.sin(theta), Math.cosh(mu) * Math.cos(theta)));
+  }
+  let k = prod(p.map(v => scale(v, -1))).re;
+  if (N % 2 === 0) k /= Math.sqrt(1 + eps * eps);
+  return { z: [], p, k };
+}
+
+// Chebyshev II: the edge is where the stopband attenuation is reached
+function cheby2Prototype(N, attenDb) {
+  const eps = 1 / Math.sqrt(Math.pow(10, attenDb / 10) - 1);
+  const mu = Math.asinh(1 / eps) / N;
+  const z = [];
+  const p = [];
+  for (let i = 0; i < N; i++) {
+    const theta = Math.PI * (2 * i + 1) / (2 * N);
+    if (2 * i + 1 !== N) z.push(C(0, 1 / Math.cos(theta)));
+    p.push(div(C(1), C(-Math.sinh(mu) * Math.sin(theta), Math.cosh(mu) * Math.cos(theta))));
+  }
+  const k = prodRatio(p.map(v => scale(v, -1)), z.map(v => scale(v, -1))).re;
+  return { z, p, k };
+}
+
+// Elliptic: equiripple passband (rippleDb) and stopband (attenDb)
+function ellipticPrototype(N, rippleDb, attenDb) {
+  const ep = Math.sqrt(Math.pow(10, rippleDb / 10) - 1);
+  const es = Math.sqrt(Math.pow(10, attenDb / 10) - 1);
+  const k1 = ep / es;
+  const k = ellipdeg(N, k1);
+  const L = Math.floor(N / 2);
+  const v0 = scale(mul(C(0, -1), asne(C(0, 1 / ep), k1)), 1 / N);
+
+  const z = [];
+  const p = [];
+  for (let i = 1; i <= L; i++) {
+    const u = (2 * i - 1) / N;
+    const zeta = cde(C(u), k);
+    const zero = div(C(0, 1), scale(zeta, k));
+    z.push(zero, conj(zero));
+    const pole = mul(C(0, 1), cde(sub(C(u), mul(C(0, 1), v0)), k));
+    p.push(pole, conj(pole));
+  }
+  if (N % 2 === 1) {
+    p.push(C(mul(C(0, 1), sne(mul(C(0, 1), v0), k)).re));
+  }
+
+  // Unity (odd) or 1/√(1+ε²) (even) gain at DC
+  const dc = prodRatio(z.map(v => scale(v, -1)), p.map(v => scale(v, -1))).re;
+  const target = (N % 2 === 0) ? 1 / Math.sqrt(1 + ep * ep) : 1;
+  return { z, p, k: target / dc };
+}
+
+// Frequency transformations of a low-pass prototype (as in scipy's lp2*_zpk)
+function lp2lp({ z, p, k }, wo) {
+  const degree = p.length - z.length;
+  return { z: z.map(v => scale(v, wo)), p: p.map(v => scale(v, wo)), k: k * Math.pow(wo, degree) };
+}
+
+function lp2hp({ z, p, k }, wo) {
+  const degree = p.length - z.length;
+  const gain = prodRatio(z.map(v => scale(v, -1)), p.map(v => scale(v, -1))).re;
+  return {
+    z: [...z.map(v => div(C(wo), v)), ...Array.from({ length: degree }, () => C(0))],
+    p: p.map(v => div(C(wo), v)),
+    k: k * gain
+  };
+}
+
+// Each root r → r·bw/2 ± √((r·bw/2)² − wo²)
+function splitRoots(roots, wo) {
+  const out = [];
+  for (const r of roots) {
+    const d = csqrt(sub(mul(r, r), C(wo * wo)));
+    out.push(add(r, d), sub(r, d));
+  }
+  return out;
+}
+
+function lp2bp({ z, p, k }, wo, bw) {
+  const degree = p.length - z.length;
+  return {
+    z: [...splitRoots(z.map(v => scale(v, bw / 2)), wo), ...Array.from({ length: degree }, () => C(0))],
+    p: splitRoots(p.map(v => scale(v, bw / 2)), wo),
+    k: k * Math.pow(bw, degree)
+  };
+}
+
+function lp2bs({ z, p, k }, wo, bw) {
+  const degree = p.length - z.length;
+  const gain = prodRatio(z.map(v => scale(v, -1)), p.map(v => scale(v, -1))).re;
+  const notchZeros = [];
+  for (let i = 0; i < degree; i++) notchZeros.push(C(0, wo), C(0, -wo));
+  return {
+    z: [...splitRoots(z.map(v => div(C(bw / 2), v)), wo), ...notchZeros],
+    p: splitRoots(p.map(v => div(C(bw / 2), v)), wo),
+    k: k * gain
+  };
+}
+
+// Bilinear transform s = 2·fs·(z − 1)/(z + 1)
+function bilinear({ z, p, k }, fs) {
+  const fs2 = C(2 * fs);
+  const degree = p.length - z.length;
+  const gain = prodRatio(z.map(v => sub(fs2, v)), p.map(v => sub(fs2, v))).re;
+  return {
+    z: [...z.map(v => div(add(fs2, v), sub(fs2, v))), ...Array.from({ length: degree }, () => C(-1))],
+    p: p.map(v => div(add(fs2, v), sub(fs2, v))),
+    k: k * gain
+  };
+}
+
+// Group roots into conjugate pairs and pairs of real roots
+function rootPairs(roots) {
+  const tol = 1e-9;
+  const complex = roots.filter(r => r.im > tol);
+  const reals = roots.filter(r => Math.abs(r.im) <= tol).map(r => r.re).sort((a, b) => a - b);
+  const pairs = complex.map(r => [r, conj(r)]);
+  for (let i = 0; i < reals.length; i += 2) {
+    pairs.push(reals.slice(i, i + 2).map(re => C(re)));
+  }
+  return pairs;
+}
+
+// Real polynomial [1, c1, c2] with the given (one or two) roots
+function pairPoly(pair) {
+  if (pair.length === 1) return [1, -pair[0].re, 0];
+  const [r1, r2] = pair;
+  return [1, -(r1.re + r2.re), mul(r1, r2).re];
+}
+
+// Digital zpk → second-order sections { b: [b0, b1, b2], a: [1, a1, a2] }.
+// Pole pairs closest to the unit circle take the nearest zeros. The gain is
+// spread evenly over the sections, so no single section scales the signal
+// out of range.
+function zpkToSos({ z, p, k }) {
+  const polePairs = rootPairs(p).sort((x, y) => abs(y[0]) - abs(x[0]));
+  const zeroPairs = rootPairs(z);
+  const sos = polePairs.map(pp => {
+    let best = -1;
+    let bestDist = Infinity;
+    zeroPairs.forEach((zp, i) => {
+      const d = abs(sub(zp[0], pp[0]));
+      if (d < bestDist) {
+        bestDist = d;
+        best = i;
+      }
+    });
+    const b = best >= 0 ? pairPoly(zeroPairs.splice(best, 1)[0]) : [1, 0, 0];
+    return { b, a: pairPoly(pp) };
+  });
+  const share = Math.pow(Math.abs(k), 1 / sos.length);
+  sos.forEach((section, i) => {
+    const g = (i === 0 && k < 0) ? -share : share;
+    section.b = section.b.map(v => v * g);
+  });
+  return sos;
+}
+
+// Prewarp a frequency in Hz for the bilinear transform
+const prewarp = (f, fs) => 2 * fs * Math.tan(Math.PI * f / fs);
+
+// Keep edges inside (0, Nyquist) for the given rate
+const clampEdge = (f, fs) => Math.min(Math.max(f, 1), 0.49 * fs);
+
+// Every pole pair inside the unit circle (|a2| < 1, |a1| < 1 + a2) and every
+// coefficient finite
+const isStableSection = ({ b, a }) => [...b, ...a].every(Number.isFinite) && Math.abs(a[2]) < 1 && Math.abs(a[1]) < 1 + a[2];
+
+function designIIR({ type, family, order, cutoff, cutoff2, ripple, attenuation }, fs) {
+  const N = Math.min(iirOrderLimit(family), Math.max(1, Math.round(order) || 1));
+  let proto;
+  switch (family) {
+    case 'cheby1': proto = cheby1Prototype(N, ripple); break;
+    case 'cheby2': proto = cheby2Prototype(N, attenuation); break;
+    case 'elliptic': proto = ellipticPrototype(N, ripple, attenuation); break;
+    default: proto = butterworthPrototype(N);
+  }
+
+  const w1 = prewarp(clampEdge(cutoff, fs), fs);
+  let analog;
+  if (type === 'highpass') {
+    analog = lp2hp(proto, w1);
+  } else if (type === 'bandpass' || type === 'notch') {
+    const w2 = prewarp(clampEdge(Math.max(cutoff2, cutoff * 1.01), fs), fs);
+    const wo = Math.sqrt(w1 * w2);
+    analog = (type === 'bandpass') ? lp2bp(proto, wo, w2 - w1) : lp2bs(proto, wo, w2 - w1);
+  } else {
+    analog = lp2lp(proto, w1);
+  }
+  const sos = zpkToSos(bilinear(analog, fs));
+  if (!sos.every(isStableSection)) {
+    throw new Error(`The order-${N} ${family} ${type} design is numerically unstable`);
+  }
+  return { kind: 'iir', sos };
+}
+
+// Kaiser β for a stopband attenuation in dB
+export function kaiserBeta(attenDb) {
+  if (attenDb > 50) return 0.1102 * (attenDb - 8.7);
+  if (attenDb > 21) return 0.5842 * Math.pow(attenDb - 21, 0.4) + 0.07886 * (attenDb - 21);
+  return 0;
+}
+
+// Odd tap count so every response type has linear phase and integer delay
+const firTaps = order => {
+  const n = Math.max(3, Math.round(order) + 1);
+  return n % 2 ? n : n + 1;
+};
+
+// Band edges in cycles/sample: [lo, hi] pairs with a desired gain each
+function firBands({ type, cutoff, cutoff2 }, fs) {
+  const f1 = clampEdge(cutoff, fs) / fs;
+  const f2 = clampEdge(Math.max(cutoff2, cutoff * 1.01), fs) / fs;
+  switch (type) {
+    case 'highpass': return { edges: [f1], gains: [0, 1] };
+    case 'bandpass': return { edges: [f1, f2], gains: [0, 1, 0] };
+    case 'notch': return { edges: [f1, f2], gains: [1, 0, 1] };
+    default: return { edges: [f1], gains: [1, 0] };
+  }
+}
+
+// Windowed sinc: the ideal response (sum of ideal low-passes) times a Kaiser
+// window sized for the stopband attenuation
+function designFirWindow(spec, fs) {
+  const N = firTaps(spec.order);
+  const M = (N - 1) / 2;
+  const { edges, gains } = firBands(spec, fs);
+  const win = createWindow('kaiser', N, { beta: kaiserBeta(spec.attenuation) });
+  const lowpass = (fc, n) => (n === 0 ? 2 * fc : Math.sin(2 * Math.PI * fc * n) / (Math.PI * n));
+
+  const taps = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
+    const n = i - M;
+    // Gain steps at each edge on top of the gain at Nyquist
+    let h = gains[gains.length - 1] * (n === 0 ? 1 : 0);
+    for (let e = 0; e < edges.length; e++) {
+      h += (gains[e] - gains[e + 1]) * lowpass(edges[e], n);
+    }
+    taps[i] = h * win[i];
+  }
+  return { kind: 'fir', taps };
+}
+
+// Barycentric interpolation weights 1/Π(x_k − x_j), computed in the log
+// domain and scaled by a common factor (which cancels in every use)
+function baryWeights(xs) {
+  const logs = xs.map((xk, k) => {
+    let sum = 0;
+    let sign = 1;
+    xs.forEach((xj, j) => {
+      if (j === k) return;
+      const d = xk - xj;
+      sum += Math.log(Math.abs(d));
+      if (d < 0) sign = -sign;
+    });
+    return { sum, sign };
+  });
+  // Centre the exponents so neither end of the range under- or overflows
+  const sums = logs.map(l => l.sum);
+  const ref = (Math.min(...sums) + Math.max(...sums)) / 2;
+  return logs.map(l => l.sign * Math.exp(ref - l.sum));
+}
+
+// Local extrema of the weighted error `err` over `grid` with |err| at least
+// `threshold`, reduced to an alternating set of at most `r` points
+function alternatingExtrema(err, grid, r, threshold) {
+  const cand = [];
+  for (let i = 0; i < grid.length; i++) {
+    // Band edges only compare with their neighbour inside the band
+    const e = err[i];
+    const edge = -Infinity * Math.sign(e);
+    const prev = (i > 0 && grid[i - 1].band === grid[i].band) ? err[i - 1] : edge;
+    const next = (i < grid.length - 1 && grid[i + 1].band === grid[i].band) ? err[i + 1] : edge;
+    const isMax = (e > 0 && e >= prev && e >= next) || (e < 0 && e <= prev && e <= next);
+    if (isMax && Math.abs(e) >= threshold) cand.push(i);
+  }
+  // Keep the larger of neighbours with the same sign
+  const alt = [];
+  for (const i of cand) {
+    const last = alt[alt.length - 1];
+    if (last !== undefined && Math.sign(err[last]) === Math.sign(err[i])) {
+      if (Math.abs(err[i]) > Math.abs(err[last])) alt[alt.length - 1] = i;
+    } else {
+      alt.push(i);
+    }
+  }
+  // Drop the smaller end extremum until r remain
+  while (alt.length > r) {
+    if (Math.abs(err[alt[0]]) < Math.abs(err[alt[alt.length - 1]])) alt.shift();
+    else alt.pop();
+  }
+  return alt;
+}
+
+// Parks-McClellan (Remez exchange) for odd-length, linear-phase filters.
+// Bands sit `transition` Hz either side of each edge; the stopband weight
+// follows the ripple / attenuation targets.
+function designFirRemez(spec, fs) {
+  const N = firTaps(spec.order);
+  const L = (N - 1) / 2;
+  const { edges, gains } = firBands(spec, fs);
+  const half = Math.max(0.5, spec.transition / 2) / fs;
+  const deltaP = (Math.pow(10, spec.ripple / 20) - 1) / (Math.pow(10, spec.ripple / 20) + 1);
+  const deltaS = Math.pow(10, -spec.attenuation / 20);
+
+  // Bands [lo, hi] in cycles/sample
+  const bands = [];
+  for (let b = 0; b < gains.length; b++) {
+    const lo = b === 0 ? 0 : edges[b - 1] + half;
+    const hi = b === gains.length - 1 ? 0.5 : edges[b] - half;
+    if (hi > lo) bands.push({ lo, hi, gain: gains[b], weight: gains[b] ? 1 : deltaP / deltaS });
+  }
+
+  // Dense grid over the bands
+  const gridDensity = 16;
+  const totalWidth = bands.reduce((s, b) => s + b.hi - b.lo, 0);
+  const grid = [];
+  bands.forEach((band, bandIndex) => {
+    const count = Math.max(4, Math.round(gridDensity * (L + 1) * (band.hi - band.lo) / totalWidth));
+    for (let i = 0; i <= count; i++) {
+      const f = band.lo + (band.hi - band.lo) * i / count;
+      const omega = 2 * Math.PI * f;
+      grid.push({ omega, x: Math.cos(omega), band: bandIndex, d: band.gain, w: band.weight });
+    }
+  });
+
+  // Start from the error extrema of the Kaiser-windowed design, which is
+  // already close to equiripple. A uniform start makes the first ripple
+  // estimate fall below rounding level for long filters.
+  const r = L + 2;
+  const { taps: start } = designFirWindow(spec, fs);
+  const startErr = grid.map(g => {
+    let a = start[L];
+    for (let n = 1; n <= L; n++) a += 2 * start[L - n] * Math.cos(g.omega * n);
+    return g.w * (g.d - a);
+  });
+  let ext = alternatingExtrema(startErr, grid, r, 0);
+  // Too few alternations: split the widest gaps until there are r points
+  while (ext.length < r) {
+    let gap = 0;
+    for (let i = 1; i < ext.length; i++) {
+      if (ext[i] - ext[i - 1] > ext[gap + 1] - ext[gap]) gap = i - 1;
+    }
+    if (ext.length < 2 || ext[gap + 1] - ext[gap] < 2) {
+      ext = Array.from({ length: r }, (_, i) => Math.round(i * (grid.length - 1) / (r - 1)));
+      break;
+    }
+    ext.splice(gap + 1, 0, Math.round((ext[gap] + ext[gap + 1]) / 2));
+  }
+  let best = null;
+
+  for (let iter = 0; iter < 40; iter++) {
+    const bw = baryWeights(ext.map(i => grid[i].x));
+    let num = 0;
+    let den = 0;
+    ext.forEach((gi, k) => {
+      num += bw[k] * grid[gi].d;
+      den += bw[k] * ((k % 2) ? -1 : 1) / grid[gi].w;
+    });
+    const delta = num / den;
+
+    // Interpolate A(x) through the first r − 1 extremals
+    const nodes = ext.slice(0, r - 1).map((gi, k) => ({
+      x: grid[gi].x,
+      c: grid[gi].d - ((k % 2) ? -1 : 1) * delta / grid[gi].w
+    }));
+    const nw = baryWeights(nodes.map(nk => nk.x));
+    const interp = x => {
+      let n = 0;
+      let d = 0;
+      for (let k = 0; k < nodes.length; k++) {
+        const diff = x - nodes[k].x;
+        if (Math.abs(diff) < 1e-14) return nodes[k].c;
+        const t = nw[k] / diff;
+        n += t * nodes[k].c;
+        d += t;
+      }
+      return n / d;
+    };
+
+    // Weighted error and its alternating extrema
+    const err = grid.map(g => g.w * (g.d - interp(g.x)));
+    // Keep the best iteration: with far more taps than the specification
+    // needs the error reaches rounding level and the exchange can diverge
+    const maxErr = err.reduce((m, e) => Math.max(m, Math.abs(e)), 0);
+    if (!Number.isFinite(maxErr)) break;
+    if (!best || maxErr < best.maxErr) best = { maxErr, interp };
+
+    const alt = alternatingExtrema(err, grid, r, Math.abs(delta) * 0.999);
+    if (alt.length < r) break;
+
+    ext = alt;
+    if (maxErr - Math.abs(delta) <= 1e-6 * maxErr) break;
+  }
+
+  // Ripples far below the targets (very long filters) run into rounding;
+  // if the exchange did not beat the windowed design, keep that instead
+  const startMax = startErr.reduce((m, e) => Math.max(m, Math.abs(e)), 0);
+  if (!best || !(best.maxErr < startMax)) return { kind: 'fir', taps: start };
+
+  // Sample A(f) at N points and take the inverse cosine transform
+  const A = Array.from({ length: L + 1 }, (_, k) => best.interp(Math.cos(2 * Math.PI * k / N)));
+  const taps = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
+    let h = A[0];
+    for (let k = 1; k <= L; k++) h += 2 * A[k] * Math.cos(2 * Math.PI * k * (i - L) / N);
+    taps[i] = h / N;
+  }
+  return { kind: 'fir', taps: taps.every(Number.isFinite) ? taps : start };
+}
+
+// Design a filter for sample rate `fs`. `spec` fields: type, family, order
+// (IIR order up to iirOrderLimit(), or FIR taps − 1), cutoff and cutoff2 (Hz;
+// band edges for bandpass/notch), ripple (passband dB), attenuation (stopband
+// dB) and transition (Hz, Parks-McClellan). Chebyshev II edges are where the
+// stopband starts; all other families use the passband edge. Throws when an
+// IIR design comes out unstable.
+export function designFilter(spec, fs) {
+  const full = { type: 'lowpass', family: 'butterworth', order: 2, cutoff: 1000, cutoff2: 2000, ripple: 1, attenuation: 60, transition: 1000, ...spec };
+  if (full.family === 'fir-window') return designFirWindow(full, fs);
+  if (full.family === 'fir-pm') return designFirRemez(full, fs);
+  return designIIR(full, fs);
+}
+
+// First-order RC low-pass (6 dB/octave), y[n] = y[n−1] + α·(x[n] − y[n−1])
+export function designOnePole(cutoff, fs) {
+  const RC = 1 / (2 * Math.PI * cutoff);
+  const alpha = (1 / fs) / (RC + 1 / fs);
+  return { kind: 'iir', sos: [{ b: [alpha, 0, 0], a: [1, alpha - 1, 0] }] };
+}
+
+// Linear-phase FIR at `fs` that undoes the sin(x)/x droop of a zero-order
+// hold at `holdRate`, up to the hold's Nyquist frequency and flat above it.
+// Frequency sampling on a dense grid, truncated with a Kaiser window.
+export function designSincCompensation(holdRate, fs, { taps = 63, beta = 6 } = {}) {
+  const N = firTaps(taps - 1);
+  const M = (N - 1) / 2;
+  const grid = 1024;
+  const desired = new Float64Array(grid + 1);
+  for (let k = 0; k <= grid; k++) {
+    const x = Math.PI * Math.min((fs / 2) * k / grid, holdRate / 2) / holdRate;
+    desired[k] = (x === 0) ? 1 : x / Math.sin(x);
+  }
+  const win = createWindow('kaiser', N, { beta });
+  const h = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
+    // Inverse transform of the real, even response (trapezoidal rule on 0..π)
+    let acc = 0;
+    for (let k = 0; k <= grid; k++) {
+      const w = (k === 0 || k === grid) ? 0.5 : 1;
+      acc += w * desired[k] * Math.cos(Math.PI * k * (i - M) / grid);
+    }
+    h[i] = acc / grid * win[i];
+  }
+  // Exact unity gain at DC
+  const dc = h.reduce((sum, v) => sum + v, 0);
+  return { kind: 'fir', taps: h.map(v => v / dc) };
+}
+
+// Numerator/denominator pairs of a design; a { kind: 'cascade', stages }
+// design is flattened
+function designPolys(design) {
+  if (design.kind === 'cascade') return design.stages.flatMap(designPolys);
+  return (design.kind === 'fir') ? [{ b: Array.from(design.taps), a: [1] }] : design.sos;
+}
+
+// Σ c[n]·e^(−iωn) and Σ n·c[n]·e^(−iωn) for the group delay
+function polyEval(c, w) {
+  let re = 0;
+  let im = 0;
+  let dre = 0;
+  let dim = 0;
+  for (let n = 0; n < c.length; n++) {
+    const cr = Math.cos(w * n) * c[n];
+    const ci = -Math.sin(w * n) * c[n];
+    re += cr;
+    im += ci;
+    dre += n * cr;
+    dim += n * ci;
+  }
+  return { h: C(re, im), dh: C(dre, dim) };
+}
+
+// Frequency response at `points` frequencies from 0 to fs/2: magnitude (dB),
+// wrapped phase (rad) and group delay (samples; NaN at response zeros)
+export function frequencyResponse(design, fs, points = 512) {
+  const freq = new Float64Array(points);
+  const magDb = new Float64Array(points);
+  const phase = new Float64Array(points);
+  const groupDelay = new Float64Array(points);
+  const polys = designPolys(design);
+
+  for (let i = 0; i < points; i++) {
+    const f = (fs / 2) * i / (points - 1);
+    const w = 2 * Math.PI * f / fs;
+    let H = C(1);
+    let tau = 0;
+    for (const { b, a } of polys) {
+      const B = polyEval(b, w);
+      const A = polyEval(a, w);
+      H = mul(H, div(B.h, A.h));
+      tau += div(B.dh, B.h).re - div(A.dh, A.h).re;
+    }
+    freq[i] = f;
+    magDb[i] = 20 * Math.log10(Math.max(abs(H), 1e-12));
+    phase[i] = Math.atan2(H.im, H.re);
+    groupDelay[i] = Number.isFinite(tau) && abs(H) > 1e-6 ? tau : NaN;
+  }
+  return { freq, magDb, phase, groupDelay };
+}
+
+// Apply a design to a signal (direct form II transposed per section). With
+// `compensateDelay` FIR stages are advanced by their (N − 1)/2 sample delay,
+// so a linear-phase FIR adds no time shift.
+export function applyFilter(design, x, { compensateDelay = false } = {}) {
+  if (design.kind === 'cascade') {
+    return design.stages.reduce((y, stage) => applyFilter(stage, y, { compensateDelay }), Float32Array.from(x));
+  }
+  if (design.kind === 'fir') {
+    const { taps } = design;
+    const shift = compensateDelay ? (taps.length - 1) >> 1 : 0;
+    const y = new Float32Array(x.length);
+    for (let n = 0; n < x.length; n++) {
+      const m = n + shift;
+      let acc = 0;
+      for (let k = Math.max(0, m - x.length + 1); k < taps.length && k <= m; k++) acc += taps[k] * x[m - k];
+      y[n] = acc;
+    }
+    return y;
+  }
+  let y = Float32Array.from(x);
+  for (const { b, a } of design.sos) {
+    let s1 = 0;
+    let s2 = 0;
+    for (let n = 0; n < y.length; n++) {
+      const v = y[n];
+      const out = b[0] * v + s1;
+      s1 = b[1] * v - a[1] * out + s2;
+      s2 = b[2] * v - a[2] * out;
+      y[n] = out;
+    }
+  }
+  return y;
+}
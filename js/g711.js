@@ -0,0 +1,60 @@
+// G.711 μ-law and A-law sample codecs (ITU-T segment tables)
+
+// Decode one 8-bit μ-law byte to a 16-bit linear sample
+export function ulawToLinear(byte) {
+  const u = ~byte & 0xFF;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0F;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign ? -magnitude : magnitude;
+}
+
+// Decode one 8-bit A-law byte to a 16-bit linear sample
+export function alawToLinear(byte) {
+  const a = byte ^ 0x55;
+  const sign = a & 0x80;
+  const exponent = (a >> 4) & 0x07;
+  const mantissa = a & 0x0F;
+  let magnitude = (mantissa << 4) + 8;
+  if (exponent > 0) magnitude = (magnitude + 0x100) << (exponent - 1);
+  return sign ? magnitude : -magnitude;
+}
+
+const SEG_UEND = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+const SEG_AEND = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+function segment(value, table) {
+  for (let i = 0; i < table.length; i++) {
+    if (value <= table[i]) return i;
+  }
+  return table.length;
+}
+
+// Encode a 16-bit linear sample to an 8-bit μ-law byte (14-bit codec input)
+export function linearToUlaw(sample) {
+  let v = sample >> 2;
+  let mask = 0xFF;
+  if (v < 0) {
+    v = -v;
+    mask = 0x7F;
+  }
+  v = Math.min(v, 8159) + (0x84 >> 2);
+  const seg = segment(v, SEG_UEND);
+  if (seg >= 8) return 0x7F ^ mask;
+  return ((seg << 4) | ((v >> (seg + 1)) & 0x0F)) ^ mask;
+}
+
+// Encode a 16-bit linear sample to an 8-bit A-law byte (13-bit codec input)
+export function linearToAlaw(sample) {
+  let v = sample >> 3;
+  let mask = 0xD5;
+  if (v < 0) {
+    v = -v - 1;
+    mask = 0x55;
+  }
+  const seg = segment(v, SEG_AEND);
+  if (seg >= 8) return 0x7F ^ mask;
+  const mantissa = (seg < 2) ? (v >> 1) & 0x0F : (v >> seg) & 0x0F;
+  return ((seg << 4) | mantissa) ^ mask;
+}
@@ -3,17 +3,44 @@
 import { clamp, bytesHuman, fmt, debounce, isMobile } from './utils.js';
 import { 
   renderOfflineFromWaves, 
+  renderOfflineFromBuffer,
   quantizeBuffer, 
   computeSNR, 
-  reconstructDAC, 
-  onePoleLowpass 
+  snrVersusLevel,
+  parseCompression,
+  computeStereoCorrelation,
+  reconstructDAC,
+  pcmQuantizer,
+  DEFAULT_CUSTOM_HARMONICS,
+  MAX_CUSTOM_HARMONICS 
 } from './audio-engine.js';
+import { resample } from './resampler.js';
+import { measureSignal, measureImages, measureSidebands, noiseResponse, deconvolve, impulseToResponse } from './measurement.js';
+import { hasClockError, clockedSample, totalJitter, jitterSnrTheory, sidebandTheory } from './clock.js';
+import { isIdealConverter, converterErrors, MAX_MISSING_CODES } from './converter-model.js';
+import { NOISE_TYPES, isNoise } from './noise.js';
+import { TEST_SIGNALS, isTestSignal, renderTestSignal } from './test-signals.js';
+import { MOD_KINDS, LFO_SHAPES, MAX_BUFFER_VIBRATO, activeModulators, hasAudioRateFrequency, lfoApplies } from './modulation.js';
+import { predictAliasing } from './aliasing.js';
+import { deltaSigmaDAC, deltaSigmaADC, shapedNoiseLevels } from './delta-sigma.js';
+import { designFilter, designOnePole, designSincCompensation, frequencyResponse, applyFilter, iirOrderLimit } from './filter-design.js';
+import { decodeAudioFile, prepareImportedBuffer } from './audio-import.js';
 import { 
   drawArrayToScope, 
   drawSamplingVisualization,
+  drawSpectrogram,
+  drawGoniometer,
+  drawSnrCurves,
+  drawSpectrumDb,
+  drawFilterResponse,
+  drawConverterErrors,
+  drawHarmonicPreview,
   VisualizationManager 
 } from './visualization.js';
-import { encodeWavFromPCM, encodeWavFromULaw } from './wav-encoder.js';
+import { stft, welchSpectrum } from './fft.js';
+import { createRandomStream, deriveSeed, randomSeed } from './random.js';
+import { encodeWavFromPCM, encodeWavFromFloat32, encodeWavFromG711 } from './wav-encoder.js';
+import { encodeDsf, encodeDff } from './dsd-encoder.js';
 
 // Global State
 let audioCtx = null;
@@ -27,6 +54,7 @@ let recordedSrc = null;
 let dacSrc = null;
 let dacGainNode = null;
 let dacBuf = null;
+let measurements = { adc: null, dac: null };
 
 // A/B Toggle State
 let abMode = 'A'; // 'A' = input/original, 'B' = output/processed
@@ -37,12 +65,23 @@ const vizManager = new VisualizationManager();
 
 const state = {
   waveforms: [],
+  lfos: [], // free LFOs: { id, shape, freq, depth, target (wave id), param }
   masterGain: 0.8,
   previewDur: 2.0,
-  autoScaleScope: true
+  autoScaleScope: true,
+  seed: 1, // every random generator (violin, dither) derives its stream from this
+  importedAudio: null // { name, decoded } when a file replaces the waveforms
 };
 
 let nextWaveId = 1;
+let nextLfoId = 1;
+
+// Seconds of analog signal the sampling view can show (2 samples per pixel
+// at zoom 1)
+const SAMPLING_VIEW_DURATION = 0.25;
+
+// Shapes offered by the waveform rows
+const WAVE_SHAPES = ['sine', 'square', 'triangle', 'sawtooth', 'piano', 'violin', 'custom', ...NOISE_TYPES, ...TEST_SIGNALS];
 
 // DOM Elements
 const el = id => document.getElementById(id);
@@ -53,11 +92,23 @@ function initDOM() {
     ctxRate: el('ctxRate'),
     wavesDiv: el('waves'),
     addWaveBtn: el('addWave'),
+    lfosDiv: el('lfos'),
+    addLfoBtn: el('addLfo'),
+    dropZone: el('dropZone'),
+    importFileInput: el('importFile'),
+    importChooseBtn: el('importChoose'),
+    importClearBtn: el('importClear'),
+    importInfo: el('importInfo'),
+    importChannelsSel: el('importChannels'),
+    importOffsetInput: el('importOffset'),
     enableAudioBtn: el('enableAudio'),
     signalStatus: el('signalStatus'),
     dacStatus: el('dacStatus'),
     previewDurInput: el('previewDur'),
     masterGainInput: el('masterGain'),
+    seedInput: el('seed'),
+    newSeedBtn: el('newSeed'),
+    seedPill: el('seedPill'),
     scope1: el('scope1'),
     spec1: el('spec1'),
     autoScaleToggle: el('autoScaleToggle'),
@@ -72,27 +123,96 @@ function initDOM() {
     
     // Recording controls
     recRateSel: el('recRate'),
+    adcModeSel: el('adcMode'),
+    adcTypeSel: el('adcType'),
+    dsdMultipleSel: el('dsdMultiple'),
+    dsdOrderSel: el('dsdOrder'),
+    adcJitterInput: el('adcJitter'),
+    adcSineJitterInput: el('adcSineJitter'),
+    adcSineJitterFreqInput: el('adcSineJitterFreq'),
+    adcPpmInput: el('adcPpm'),
+    adcClockBox: el('adcClockBox'),
+    adcOffsetInput: el('adcOffset'),
+    adcGainErrorInput: el('adcGainError'),
+    adcInlInput: el('adcInl'),
+    adcInlShapeSel: el('adcInlShape'),
+    adcDnlInput: el('adcDnl'),
+    adcMissingInput: el('adcMissing'),
+    adcOverloadSel: el('adcOverload'),
+    converterPlot: el('converterPlot'),
+    converterBox: el('converterBox'),
+    clipStatus: el('clipStatus'),
+    clipLabel: el('clipLabel'),
+    oscModeSel: el('oscMode'),
     bitDepthSel: el('bitDepth'),
+    bitDepthCustomInput: el('bitDepthCustom'),
+    bitDepthCustomValue: el('bitDepthCustomValue'),
     channelsSel: el('channels'),
     recDurInput: el('recDur'),
     aaKindSel: el('aaKind'),
+    aaFamilySel: el('aaFamily'),
+    aaOrderInput: el('aaOrder'),
+    aaOrderHint: el('aaOrderHint'),
     aaCutoffInput: el('aaCutoff'),
+    aaCutoff2Input: el('aaCutoff2'),
+    aaRippleInput: el('aaRipple'),
+    aaAttenInput: el('aaAtten'),
+    aaTransitionInput: el('aaTransition'),
+    aaResponse: el('aaResponse'),
+    aaSummary: el('aaSummary'),
     ditherSel: el('dither'),
+    noiseShapingSel: el('noiseShaping'),
     compressionSel: el('compression'),
     size1minBox: el('size1min'),
     snrBox: el('snrBox'),
+    measureBox: el('measureBox'),
+    snrLevel2: el('snrLevel2'),
     scope2: el('scope2'),
     err2: el('err2'),
+    spec2: el('spec2'),
+    aliasList: el('aliasList'),
+    errSpec2: el('errSpec2'),
     samplingViz: el('samplingViz'),
     samplingZoom: el('samplingZoom'),
     downloadWavBtn: el('downloadWav'),
+    downloadDsfBtn: el('downloadDsf'),
+    downloadDffBtn: el('downloadDff'),
+    sgramWindowSel: el('sgramWindow'),
+    sgramSizeSel: el('sgramSize'),
+    sgramHopSel: el('sgramHop'),
+    sgram2: el('sgram2'),
+    gonio2: el('gonio2'),
     
     // DAC controls
     dacMethodSel: el('dacMethod'),
+    dacSincTapsInput: el('dacSincTaps'),
+    dacSincWindowSel: el('dacSincWindow'),
+    dsmOsrSel: el('dsmOsr'),
+    dsmInterpSel: el('dsmInterp'),
+    dsmOrderSel: el('dsmOrder'),
+    dsmBitsSel: el('dsmBits'),
+    dsmSpec: el('dsmSpec'),
+    dsmSummary: el('dsmSummary'),
+    dacFilterSel: el('dacFilter'),
+    dacJitterInput: el('dacJitter'),
+    dacSineJitterInput: el('dacSineJitter'),
+    dacSineJitterFreqInput: el('dacSineJitterFreq'),
+    dacPpmInput: el('dacPpm'),
+    dacClockBox: el('dacClockBox'),
     dacLPInput: el('dacLP'),
+    dacFilterOrderInput: el('dacFilterOrder'),
+    dacFirTapsInput: el('dacFirTaps'),
+    dacSincEqToggle: el('dacSincEq'),
+    dacResponse: el('dacResponse'),
+    dacRespSummary: el('dacRespSummary'),
+    chainCard: el('chainCard'),
+    chainSummary: el('chainSummary'),
+    chainResponse: el('chainResponse'),
+    chainImpulse: el('chainImpulse'),
     dacGainInput: el('dacGain'),
     scope3: el('scope3'),
-    spec3: el('spec3')
+    spec3: el('spec3'),
+    sgram3: el('sgram3')
   };
 }
 
@@ -149,14 +269,21 @@ async function initAudio() {
 }
 
 // Waveform management
-function addWave(w = { type: 'sine', amp: 0.8, freq: 440, phaseDeg: 0 }) {
+function addWave(w = { type: 'sine', amp: 0.8, freq: 440, phaseDeg: 0, pan: 0 }) {
   console.log('Adding waveform:', w);
-  state.waveforms.push({ id: nextWaveId++, ...w });
+  state.waveforms.push({ id: nextWaveId++, pan: 0, ...w });
   console.log('Total waveforms:', state.waveforms.length);
 }
 
 function removeWave(id) {
   state.waveforms = state.waveforms.filter(w => w.id !== id);
+  // Modulations of the removed wave fall back to nothing
+  state.waveforms.forEach(w => {
+    if (w.modTarget === id) w.modTarget = null;
+  });
+  state.lfos.forEach(lfo => {
+    if (lfo.target === id) lfo.target = null;
+  });
   renderWaves();
 }
 
@@ -181,6 +308,7 @@ function renderWaves() {
     console.log('Rendering waveform', index, ':', w);
     const row = document.createElement('div');
     row.className = 'card wave-row';
+    const shapeOptions = WAVE_SHAPES.map(shape => `<option ${w.type === shape ? 'selected' : ''}>${shape}</option>`).join('');
     
     // Create mobile-friendly layout
     let isMobileDevice = false;
@@ -196,12 +324,7 @@ function renderWaves() {
           <label>
             Shape
             <select data-k="type" data-id="${w.id}">
-              <option ${w.type==='sine'?'selected':''}>sine</option>
-              <option ${w.type==='square'?'selected':''}>square</option>
-              <option ${w.type==='triangle'?'selected':''}>triangle</option>
-              <option ${w.type==='sawtooth'?'selected':''}>sawtooth</option>
-              <option ${w.type==='piano'?'selected':''}>piano</option>
-              <option ${w.type==='violin'?'selected':''}>violin</option>
+              ${shapeOptions}
             </select>
           </label>
           <label>
@@ -219,6 +342,12 @@ function renderWaves() {
             <input type="number" step="1" min="0" max="360" value="${w.phaseDeg}" data-k="phaseDeg" data-id="${w.id}">
           </label>
         </div>
+        <div class="wave-controls">
+          <label>
+            Pan (L −1 … +1 R)
+            <input type="number" step="0.1" min="-1" max="1" value="${w.pan}" data-k="pan" data-id="${w.id}">
+          </label>
+        </div>
         <div class="wave-actions">
           <button class="danger" data-act="del" data-id="${w.id}">Delete</button>
         </div>
@@ -229,12 +358,7 @@ function renderWaves() {
           <label>
             Shape
             <select data-k="type" data-id="${w.id}">
-              <option ${w.type==='sine'?'selected':''}>sine</option>
-              <option ${w.type==='square'?'selected':''}>square</option>
-              <option ${w.type==='triangle'?'selected':''}>triangle</option>
-              <option ${w.type==='sawtooth'?'selected':''}>sawtooth</option>
-              <option ${w.type==='piano'?'selected':''}>piano</option>
-              <option ${w.type==='violin'?'selected':''}>violin</option>
+              ${shapeOptions}
             </select>
           </label>
         </div>
@@ -250,12 +374,19 @@ function renderWaves() {
           Phase (°)
           <input type="number" step="1" min="0" max="360" value="${w.phaseDeg}" data-k="phaseDeg" data-id="${w.id}">
         </label>
+        <label>
+          Pan (L −1 … +1 R)
+          <input type="number" step="0.1" min="-1" max="1" value="${w.pan}" data-k="pan" data-id="${w.id}">
+        </label>
         <div class="mini">
           <button class="danger" data-act="del" data-id="${w.id}">Delete</button>
         </div>
       `;
     }
     
+    if (w.type === 'custom') row.appendChild(harmonicEditor(w));
+    row.appendChild(modulationControls(w, index));
+    
     try {
       dom.wavesDiv.appendChild(row);
       console.log('Successfully added waveform row', index);
@@ -275,10 +406,24 @@ function renderWaves() {
       const w = state.waveforms.find(x => x.id === id);
       if (!w) return;
       
-      if (k === 'amp' || k === 'freq' || k === 'phaseDeg') {
+      if (k === 'amp' || k === 'freq' || k === 'phaseDeg' || k === 'pan' || k === 'modDepth') {
         w[k] = parseFloat(ev.target.value);
+      } else if (k === 'modTarget' || k === 'modKind') {
+        if (k === 'modTarget') w.modTarget = ev.target.value ? Number(ev.target.value) : null;
+        else w.modKind = ev.target.value;
+        ev.target.closest('.wave-mod').querySelector('.mod-note').textContent = fmNote(w);
       } else if (k === 'type') {
         w.type = ev.target.value;
+        // Show or hide the harmonic table
+        if (w.type === 'custom' && !w.harmonics) w.harmonics = DEFAULT_CUSTOM_HARMONICS.map(h => ({ ...h }));
+        renderWaves();
+      } else if (k === 'harmonicAmp' || k === 'harmonicPhase') {
+        const h = w.harmonics[Number(ev.target.dataset.h)];
+        const value = parseFloat(ev.target.value) || 0;
+        if (k === 'harmonicAmp') h.amp = clamp(value, 0, 1);
+        else h.phaseDeg = value;
+        const preview = ev.target.closest('.harmonic-editor').querySelector('canvas');
+        drawHarmonicPreview(preview, w.harmonics);
       }
       
         if (audioCtx) scheduleGeneration();
@@ -293,44 +438,320 @@ function renderWaves() {
       const w = state.waveforms.find(x => x.id === id);
       if (!w) return;
       
-        if (act === 'del') removeWave(id);
+        if (act === 'del') {
+          removeWave(id);
+          return;
+        }
+        if (act === 'add-harmonic' && w.harmonics.length < MAX_CUSTOM_HARMONICS) {
+          w.harmonics.push({ amp: 0, phaseDeg: 0 });
+        } else if (act === 'remove-harmonic' && w.harmonics.length > 1) {
+          w.harmonics.pop();
+        } else {
+          return;
+        }
+        renderWaves();
+        if (audioCtx) scheduleGeneration();
       });
     });
     
+    dom.wavesDiv.querySelectorAll('.harmonic-editor canvas').forEach(canvas => {
+      const w = state.waveforms.find(x => x.id === Number(canvas.dataset.id));
+      if (w) drawHarmonicPreview(canvas, w.harmonics);
+    });
+    
     console.log('Event handlers attached successfully');
   } catch (e) {
     console.error('Failed to attach event handlers:', e);
   }
+  
+  // LFO targets follow the waveform list
+  renderLfos();
+}
+
+// Options naming every wave (except `skipId`) as a modulation target
+function waveTargetOptions(selected, skipId = null) {
+  return state.waveforms
+    .map((w, i) => (w.id === skipId) ? '' : `<option value="${w.id}" ${w.id === selected ? 'selected' : ''}>Wave ${i + 1} (${w.type})</option>`)
+    .join('');
+}
+
+// Why the FM of wave `w` is dropped, or '' (see hasAudioRateFrequency)
+function fmNote(w) {
+  const target = state.waveforms.find(x => x.id === w.modTarget);
+  if (w.modKind !== 'fm' || !target || hasAudioRateFrequency(target, dom.oscModeSel.value)) return '';
+  return 'No FM onto piano, violin, noise, test signals or sample-by-sample oscillators - this wave is heard directly';
+}
+
+// Modulation routing of one wave: the wave it modulates (none = heard
+// directly), AM / FM / ring and the depth or FM index
+function modulationControls(w, index) {
+  const mod = document.createElement('div');
+  mod.className = 'wave-mod';
+  const kinds = { am: 'AM (amplitude)', fm: 'FM (frequency)', ring: 'Ring modulation' };
+  mod.innerHTML = `
+    <span class="small muted">Wave ${index + 1}</span>
+    <label>
+      Modulates
+      <select data-k="modTarget" data-id="${w.id}">
+        <option value="">— (heard directly)</option>
+        ${waveTargetOptions(w.modTarget, w.id)}
+      </select>
+    </label>
+    <label>
+      Modulation
+      <select data-k="modKind" data-id="${w.id}">
+        ${MOD_KINDS.map(kind => `<option value="${kind}" ${(w.modKind || 'am') === kind ? 'selected' : ''}>${kinds[kind]}</option>`).join('')}
+      </select>
+    </label>
+    <label>
+      Depth / FM Index
+      <input type="number" step="0.1" min="0" max="50" value="${w.modDepth ?? 0.5}" data-k="modDepth" data-id="${w.id}">
+    </label>
+    <span class="small muted mod-note">${fmNote(w)}</span>
+  `;
+  return mod;
+}
+
+// Why `lfo` is off, or '' (see lfoApplies)
+function vibratoNote(lfo) {
+  const target = state.waveforms.find(w => w.id === lfo.target);
+  if (!target || !(lfo.freq > 0) || !lfo.depth || lfoApplies(lfo, target, dom.oscModeSel.value)) return '';
+  return `Vibrato on piano, violin, noise, test signals or sample-by-sample oscillators stops at ${MAX_BUFFER_VIBRATO} Hz - this LFO is off`;
+}
+
+function addLfo() {
+  const target = state.waveforms.length ? state.waveforms[0].id : null;
+  state.lfos.push({ id: nextLfoId++, shape: 'sine', freq: 5, depth: 0.5, target, param: 'amp' });
+}
+
+// Free LFO rows: shape, rate, depth, target wave and parameter
+function renderLfos() {
+  if (!dom.lfosDiv) return;
+  dom.lfosDiv.innerHTML = '';
+  
+  state.lfos.forEach((lfo, index) => {
+    const row = document.createElement('div');
+    row.className = 'card wave-row';
+    row.innerHTML = `
+      <label>
+        LFO ${index + 1} Shape
+        <select data-k="shape" data-id="${lfo.id}">
+          ${LFO_SHAPES.map(shape => `<option ${lfo.shape === shape ? 'selected' : ''}>${shape}</option>`).join('')}
+        </select>
+      </label>
+      <label>
+        Rate (Hz)
+        <input type="number" step="0.1" min="0.01" max="100" value="${lfo.freq}" data-k="freq" data-id="${lfo.id}">
+      </label>
+      <label>
+        <span>Depth <span class="small">(${lfo.param === 'freq' ? 'Hz' : '0–1'})</span></span>
+        <input type="number" step="0.05" min="0" max="10000" value="${lfo.depth}" data-k="depth" data-id="${lfo.id}">
+      </label>
+      <label>
+        Target
+        <select data-k="target" data-id="${lfo.id}">
+          <option value="">—</option>
+          ${waveTargetOptions(lfo.target)}
+        </select>
+      </label>
+      <label>
+        Parameter
+        <select data-k="param" data-id="${lfo.id}">
+          <option value="amp" ${lfo.param === 'amp' ? 'selected' : ''}>Amplitude (tremolo)</option>
+          <option value="freq" ${lfo.param === 'freq' ? 'selected' : ''}>Frequency (vibrato)</option>
+        </select>
+      </label>
+      <div class="mini">
+        <button class="danger" data-act="del-lfo" data-id="${lfo.id}">Delete</button>
+      </div>
+      <span class="small muted lfo-note">${vibratoNote(lfo)}</span>
+    `;
+    dom.lfosDiv.appendChild(row);
+  });
+  
+  dom.lfosDiv.querySelectorAll('select, input').forEach(ctrl => {
+    ctrl.addEventListener('input', ev => {
+      const lfo = state.lfos.find(x => x.id === Number(ev.target.dataset.id));
+      if (!lfo) return;
+      const k = ev.target.dataset.k;
+      if (k === 'freq' || k === 'depth') {
+        lfo[k] = parseFloat(ev.target.value) || 0;
+      } else if (k === 'target') {
+        lfo.target = ev.target.value ? Number(ev.target.value) : null;
+      } else {
+        lfo[k] = ev.target.value;
+        // The depth unit follows the parameter
+        if (k === 'param') renderLfos();
+      }
+      const note = ev.target.closest('.wave-row')?.querySelector('.lfo-note');
+      if (note) note.textContent = vibratoNote(lfo);
+      if (audioCtx) scheduleGeneration();
+    });
+  });
+  
+  dom.lfosDiv.querySelectorAll('button[data-act="del-lfo"]').forEach(btn => {
+    btn.addEventListener('click', ev => {
+      state.lfos = state.lfos.filter(x => x.id !== Number(ev.target.dataset.id));
+      renderLfos();
+      if (audioCtx) scheduleGeneration();
+    });
+  });
+}
+
+// Harmonic table of a custom wave: amplitude (0–1) and phase per harmonic,
+// with a preview of one period
+function harmonicEditor(w) {
+  const editor = document.createElement('div');
+  editor.className = 'harmonic-editor';
+  const cells = w.harmonics.map((h, i) => `
+    <label class="harmonic">
+      <span class="small">H${i + 1}</span>
+      <input type="number" step="0.01" min="0" max="1" value="${h.amp}" title="Amplitude" data-k="harmonicAmp" data-h="${i}" data-id="${w.id}">
+      <input type="number" step="15" min="-360" max="360" value="${h.phaseDeg}" title="Phase (°)" data-k="harmonicPhase" data-h="${i}" data-id="${w.id}">
+    </label>
+  `).join('');
+  editor.innerHTML = `
+    <div class="harmonic-table">${cells}</div>
+    <div class="row">
+      <canvas class="harmonic-preview" data-id="${w.id}"></canvas>
+      <button data-act="add-harmonic" data-id="${w.id}">+ Harmonic</button>
+      <button data-act="remove-harmonic" data-id="${w.id}">− Harmonic</button>
+    </div>
+  `;
+  return editor;
+}
+
+// Step 1 waves that reach the output: playing and not modulating another
+function audibleWaves() {
+  if (state.importedAudio) return [];
+  const modulators = activeModulators(state.waveforms, dom.oscModeSel.value);
+  return state.waveforms.filter(w => w.amp > 0 && !modulators.has(w.id));
+}
+
+// The first audible Step 1 test-signal wave (sweep or click) that no wave or
+// LFO modulates, if any: the chain response compares the output against the
+// bare excitation
+function testSignalWave() {
+  const mode = dom.oscModeSel.value;
+  const modulated = new Set(activeModulators(state.waveforms, mode).values());
+  state.lfos.forEach(lfo => {
+    if (lfoApplies(lfo, state.waveforms.find(w => w.id === lfo.target), mode)) modulated.add(lfo.target);
+  });
+  return audibleWaves().find(w => isTestSignal(w.type) && !modulated.has(w.id)) || null;
+}
+
+// True when an audible Step 1 noise wave is playing, for the noise-based
+// response measurements
+function sourceHasNoise() {
+  return audibleWaves().some(w => isNoise(w.type));
+}
+
+// Recording sample format from the bit depth select ("32f" = IEEE float,
+// "custom" = the 1–24 bit slider)
+function getSampleFormat() {
+  const value = dom.bitDepthSel.value;
+  if (value === 'custom') {
+    return { bits: clamp(parseInt(dom.bitDepthCustomInput.value, 10) || 16, 1, 24), float: false };
+  }
+  return { bits: parseInt(value, 10), float: value.endsWith('f') };
 }
 
 // Update storage size display
 function updateSizeBox() {
   const fs = parseInt(dom.recRateSel.value, 10);
-  const bits = parseInt(dom.bitDepthSel.value, 10);
+  const { law } = parseCompression(dom.compressionSel.value);
+  const format = getSampleFormat();
+  const bits = law ? 8 : format.bits;
   const ch = (dom.channelsSel.value === 'Mono') ? 1 : 2;
-  const perMinuteBytes = 60 * fs * (bits / 8) * ch;
-  dom.size1minBox.textContent = `${bytesHuman(perMinuteBytes)} / minute  (${ch} ch · ${fs.toLocaleString()} Hz · ${bits}-bit PCM)`;
+  const container = law ? 8 : Math.ceil(bits / 8) * 8;
+  const perMinuteBytes = 60 * fs * (container / 8) * ch;
+  let encoding = law
+    ? `${law === 'mu' ? 'μ' : 'A'}-law`
+    : `${bits}-bit ${format.float ? 'float' : 'PCM'}`;
+  if (container !== bits) encoding += ` in ${container}-bit container`;
+  dom.size1minBox.textContent = `${bytesHuman(perMinuteBytes)} / minute  (${ch} ch · ${fs.toLocaleString()} Hz · ${encoding})`;
 }
 
 // Recording is now part of generateAllSignals
 
+// Render the Step 1 source in stereo at `sampleRate` (the context rate by
+// default): the imported file when one is loaded, otherwise the waveform mix
+function renderSource(duration, filter = null, sampleRate = audioCtx.sampleRate) {
+  
+  if (state.importedAudio) {
+    const buffer = prepareImportedBuffer(state.importedAudio.decoded, {
+      sampleRate,
+      channelMode: dom.importChannelsSel.value
+    });
+    return renderOfflineFromBuffer({
+      buffer,
+      duration,
+      sampleRate,
+      offset: Math.max(0, parseFloat(dom.importOffsetInput.value) || 0),
+      filter
+    });
+  }
+  
+  return renderOfflineFromWaves({
+    duration,
+    sampleRate,
+    channels: 2,
+    waves: state.waveforms,
+    lfos: state.lfos,
+    antiAliasMaxHarmonics: true,
+    filter,
+    seed: state.seed
+  });
+}
+
+// The seed is shown in Step 1 and re-renders everything when changed
+function setSeed(seed) {
+  state.seed = Number.isFinite(seed) ? clamp(Math.round(seed), 0, 0x7FFFFFFF) : 1;
+  dom.seedInput.value = state.seed;
+  dom.seedPill.textContent = `Seed: ${state.seed}`;
+  if (audioCtx) scheduleGeneration();
+}
+
+// Audio file import
+async function loadImportedFile(file) {
+  if (!file) return;
+  if (!audioCtx) await initAudio();
+  
+  dom.importInfo.textContent = `Decoding ${file.name}…`;
+  try {
+    const decoded = await decodeAudioFile(audioCtx, file);
+    state.importedAudio = { name: file.name, decoded };
+    dom.importInfo.textContent = `${file.name} · ${decoded.duration.toFixed(2)} s · ${decoded.numberOfChannels} ch · ${decoded.sampleRate} Hz`;
+    dom.importClearBtn.disabled = false;
+    dom.wavesDiv.classList.add('muted');
+    scheduleGeneration();
+  } catch (e) {
+    console.error('Failed to decode audio file:', e);
+    dom.importInfo.textContent = `Could not decode ${file.name}`;
+  }
+}
+
+function clearImportedFile() {
+  state.importedAudio = null;
+  dom.importInfo.textContent = 'No file loaded — using the waveforms above';
+  dom.importClearBtn.disabled = true;
+  dom.importFileInput.value = '';
+  dom.wavesDiv.classList.remove('muted');
+  if (audioCtx) scheduleGeneration();
+}
+
 // Generate all signals (preview, recording, DAC)
 async function generateAllSignals() {
   console.log('generateAllSignals called, audioCtx:', !!audioCtx, 'waveforms:', state.waveforms.length);
   
-  if (!audioCtx || !state.waveforms.length) {
-    console.log('Cannot generate signals - missing audioCtx or waveforms');
+  if (!audioCtx || (!state.waveforms.length && !state.importedAudio)) {
+    console.log('Cannot generate signals - missing audioCtx or source');
     return;
   }
 
   console.log('Step 1: Generating preview buffer...');
   // Step 1: Generate preview buffer
-  previewBuf = await renderOfflineFromWaves({
-    duration: state.previewDur,
-    sampleRate: audioCtx.sampleRate,
-    waves: state.waveforms,
-    antiAliasMaxHarmonics: true
-  });
+  previewBuf = await renderSource(state.previewDur);
 
   // Store for A/B comparison
   abSourceA = previewBuf;
@@ -376,82 +797,212 @@ async function generateAllSignals() {
   console.log('generateAllSignals completed successfully');
 }
 
+// Fold a stereo pair down to mono
+function monoMix(left, right) {
+  const out = new Float32Array(left.length);
+  for (let i = 0; i < left.length; i++) out[i] = 0.5 * (left[i] + right[i]);
+  return out;
+}
+
 // Step 2: Recording simulation
 async function simulateRecording() {
-  if (!audioCtx || !state.waveforms.length) return;
+  if (!audioCtx || (!state.waveforms.length && !state.importedAudio)) return;
 
   const duration = parseFloat(dom.recDurInput.value);
   const fs = parseInt(dom.recRateSel.value, 10);
-  const bits = parseInt(dom.bitDepthSel.value, 10);
+  const { bits, float } = getSampleFormat();
   const ch = (dom.channelsSel.value === 'Mono') ? 1 : 2;
-  const aaKind = dom.aaKindSel.value;
-  const cutoff = parseFloat(dom.aaCutoffInput.value);
-  const useDither = (dom.ditherSel.value === 'On');
+  const dither = dom.ditherSel.value;
+  const noiseShaping = dom.noiseShapingSel.value;
   const compression = dom.compressionSel.value;
+  const adcMode = dom.adcModeSel.value;
+  const adcType = dom.adcTypeSel.value;
+  const clock = getClock('adc');
+  const oscillatorMode = dom.oscModeSel.value;
 
-  // Render "analog" at recording fs
-  const analogBuf = await renderOfflineFromWaves({
-    duration,
-    sampleRate: fs,
-    waves: state.waveforms,
-    antiAliasMaxHarmonics: true,
-    filter: (aaKind === 'None') ? null : {
-      type: (aaKind === 'Low-pass') ? 'lowpass' : 'highpass',
-      cutoff
-    }
-  });
+  // The "analog" signal (waveforms or imported file) is rendered at the
+  // context rate or at fs, whichever is higher (reusing the preview when it is
+  // at that rate, long enough and unfiltered), then sampled down to fs. Sweeps
+  // depend on the render length, so with a test signal only a preview of the
+  // same length is reused. Sample-by-sample oscillators are synthesized
+  // directly at fs instead, and the analog render then only covers the
+  // sampling view.
+  const direct = oscillatorMode !== 'band-limited' && !state.importedAudio;
+  const analogRate = Math.max(audioCtx.sampleRate, fs);
+  const filter = getAntiAliasFilter(analogRate);
+  const analogDur = direct ? Math.min(duration, SAMPLING_VIEW_DURATION) : duration;
+  const analogLen = Math.ceil(analogDur * analogRate);
+  // A sweep shapes the render whether it is heard or modulates another wave
+  const hasSweep = !state.importedAudio && state.waveforms.some(w => w.amp > 0 && isTestSignal(w.type));
+  let analogBuf = previewBuf;
+  if (filter || !previewBuf || previewBuf.sampleRate !== analogRate || previewBuf.length < analogLen
+      || (hasSweep && previewBuf.length !== analogLen)) {
+    analogBuf = await renderSource(analogDur, filter, analogRate);
+  }
+  const analogL = analogBuf.getChannelData(0).subarray(0, analogLen);
+  const analogR = analogBuf.getChannelData(1).subarray(0, analogLen);
+  
+  // A mono recording sums the stereo field
+  const analog = (ch === 1) ? monoMix(analogL, analogR) : analogL;
   
-  const x = analogBuf.getChannelData(0);
-  const xR = (ch === 2) ? x.slice(0) : null;
+  // Sample-rate conversion (ADC sampling). Sample-by-sample oscillators are
+  // instead synthesized directly at fs, so their own aliasing is what is
+  // recorded. The sigma-delta ADC keeps its 1-bit streams for export, and its
+  // decimated PCM is then quantized to the chosen bit depth.
+  let x, xR;
+  let dsd = null;
+  let adcClock = null;
+  const dsdOptions = { multiple: parseInt(dom.dsdMultipleSel.value, 10), order: parseInt(dom.dsdOrderSel.value, 10) };
+  if (direct) {
+    const synth = await renderOfflineFromWaves({
+      duration,
+      sampleRate: fs,
+      channels: 2,
+      waves: state.waveforms,
+      lfos: state.lfos,
+      filter,
+      seed: state.seed,
+      oscillatorMode
+    });
+    const directL = synth.getChannelData(0);
+    const directR = synth.getChannelData(1);
+    x = (ch === 1) ? monoMix(directL, directR) : Float32Array.from(directL);
+    xR = (ch === 2) ? Float32Array.from(directR) : null;
+    // The 1-bit ADC modulates the samples as synthesized, so the stream
+    // carries the oscillators' aliasing too
+    if (adcType === 'dsd') {
+      dsd = [x, ...(xR ? [xR] : [])].map(a => deltaSigmaADC(a, fs, fs, dsdOptions));
+      x = dsd[0].pcm;
+      xR = xR ? dsd[1].pcm : null;
+    }
+  } else if (adcType === 'dsd') {
+    dsd = [analog, ...(ch === 2 ? [analogR] : [])].map(a => deltaSigmaADC(a, analogRate, fs, dsdOptions));
+    x = dsd[0].pcm;
+    xR = (ch === 2) ? dsd[1].pcm : null;
+  } else if (hasClockError(clock)) {
+    // One clock samples both channels at the same offset, jittered instants
+    x = clockedSample(analog, analogRate, fs, clock, { mode: adcMode });
+    xR = (ch === 2) ? clockedSample(analogR, analogRate, fs, clock, { mode: adcMode }) : null;
+    adcClock = { clock, sampled: x, reference: clockedSample(analog, analogRate, fs, { ppm: clock.ppm }, { mode: adcMode }) };
+  } else {
+    x = resample(analog, analogRate, fs, { mode: adcMode });
+    xR = (ch === 2) ? resample(analogR, analogRate, fs, { mode: adcMode }) : null;
+  }
 
   // Quantize
-  const { qFloat, errFloat, pcm, encLabel, ulaw } = quantizeBuffer(x, {
-    bits,
-    dither: useDither,
-    compression
-  });
+  // Each channel gets its own dither stream of the app seed, so re-recording
+  // with the same settings gives identical results
+  const converter = getConverter();
+  const quantOpts = { bits, float, dither, noiseShaping, compression, converter };
+  const { qFloat, errFloat, pcm, encLabel, g711, law, clips } = quantizeBuffer(x, { ...quantOpts, rng: createRandomStream(state.seed, 'dither-L') });
+  const right = xR ? quantizeBuffer(xR, { ...quantOpts, rng: createRandomStream(state.seed, 'dither-R') }) : null;
 
   // Measured SNR
   const snr = computeSNR(x, qFloat);
-  const theory = 6.02 * (compression.startsWith('μ') ? 8 : bits) + 1.76;
-  dom.snrBox.innerHTML = `Measured SNR: <strong>${fmt(snr, 1)} dB</strong><br/>Theoretical (~sine): <span class="mono">${fmt(theory, 1)} dB</span>`;
+  // Float keeps a 24-bit significand at every level, so its SNR does not
+  // depend on bit depth or signal level
+  const theory = 6.02 * (law ? 8 : (float ? 24 : bits)) + 1.76;
+  const snrLabel = right
+    ? `L <strong>${fmt(snr, 1)} dB</strong> · R <strong>${fmt(computeSNR(xR, right.qFloat), 1)} dB</strong>`
+    : `<strong>${fmt(snr, 1)} dB</strong>`;
+  dom.snrBox.innerHTML = `Measured SNR: ${snrLabel}<br/>Theoretical (~sine): <span class="mono">${fmt(theory, 1)} dB</span>`;
+  if (dsd) {
+    const overloads = dsd.reduce((sum, d) => sum + d.overloads, 0);
+    const limited = (dsd[0].multiple < dsdOptions.multiple) ? ` · limited to ${dsd[0].multiple} × fs for this recording length` : '';
+    dom.snrBox.innerHTML += `<br/>1‑bit stream: <span class="mono">${fmt(dsd[0].rate / 1e6, 4)} MHz</span>${overloads ? ` · ${overloads} modulator overloads` : ''}${limited}`;
+  }
+  drawSnrLevelPlot(bits, float, compression);
+  measurements = { adc: measureSignal(qFloat, fs), dac: null };
+  drawMeasurements();
+  drawConverter(converter, bits, float || !!law);
+  updateClipIndicator(clips + (right ? right.clips : 0), x.length * ch);
+  dom.adcClockBox.innerHTML = adcClock
+    ? clockReport(adcClock, fs, -1)
+    : (hasClockError(clock) ? 'The clock model applies to multibit PCM sampling of the analog signal.' : '');
 
   recorded = {
     fs,
     bitDepth: bits,
+    isFloat: float && !law,
     ch,
     duration,
+    analog,
+    analogRate,
     float: x,
     floatR: xR,
     quantFloat: qFloat,
+    quantFloatR: right ? right.qFloat : null,
     errFloat,
+    errFloatR: right ? right.errFloat : null,
     pcm,
+    pcmR: right ? right.pcm : null,
     encoding: encLabel,
-    ulaw
+    law,
+    g711,
+    g711R: right ? right.g711 : null,
+    dsd
   };
 
   // Visualizations
   drawArrayToScope(dom.scope2, recorded.quantFloat, fs);
   drawArrayToScope(dom.err2, recorded.errFloat, fs);
+  // The DSD decimation filter removes aliases like the polyphase resampler
+  drawAliasPrediction(dsd ? 'polyphase' : adcMode, oscillatorMode);
+  // A noise source measures the anti-alias filter against the unfiltered preview
+  const noiseRef = (filter && !direct && sourceHasNoise() && previewBuf && previewBuf.sampleRate === analogRate) ? previewBuf.getChannelData(0) : null;
+  drawFilterDesign(filter, noiseRef && { input: noiseRef, output: analogL });
+  drawSpectrumDb(dom.errSpec2, welchSpectrum(recorded.errFloat, { size: 2048 }), fs, { label: 'Error dBFS / bin' });
+  const rightQ = recorded.quantFloatR || recorded.quantFloat;
+  drawGoniometer(dom.gonio2, recorded.quantFloat, rightQ, computeStereoCorrelation(recorded.quantFloat, rightQ));
   
   // Draw sampling visualization
   const samplingCtx = dom.samplingViz.getContext('2d');
   const zoomLevel = dom.samplingZoom ? (parseFloat(dom.samplingZoom.value) || 1) : 1;
-  drawSamplingVisualization(samplingCtx, dom.samplingViz, x, audioCtx.sampleRate, bits, fs, zoomLevel);
+  drawSamplingVisualization(samplingCtx, dom.samplingViz, analog, analogRate, bits, fs, zoomLevel, dsd && dsd[0]);
 
   // Prepare preview BufferSource
   if (audioCtx) {
     recordedSrc = audioCtx.createBuffer(ch, x.length, fs);
-    if (ch === 1) {
-      recordedSrc.getChannelData(0).set(recorded.quantFloat);
-    } else {
-      recordedSrc.getChannelData(0).set(recorded.quantFloat);
-      recordedSrc.getChannelData(1).set(recorded.quantFloat);
-    }
+    recordedChannels('quantFloat').forEach((data, c) => recordedSrc.getChannelData(c).set(data));
   }
 
-  // Enable WAV download
+  // Enable WAV (and DSD) download
   dom.downloadWavBtn.disabled = false;
+  dom.downloadDsfBtn.disabled = !dsd;
+  dom.downloadDffBtn.disabled = !dsd;
+}
+
+// SNR versus input level for the current quantizer, with linear PCM at the
+// same bit count as a reference
+function drawSnrLevelPlot(bits, float, compression) {
+  const { law } = parseCompression(compression);
+  const refBits = law ? 8 : bits;
+  const curves = [{
+    label: `${refBits}-bit linear PCM`,
+    color: '#8ca0b3',
+    points: snrVersusLevel({ bits: refBits })
+  }];
+  if (float && !law) {
+    curves.push({
+      label: '32-bit float',
+      color: '#e5c07b',
+      points: snrVersusLevel({ bits, float })
+    });
+  } else if (law) {
+    curves.push({
+      label: dom.compressionSel.selectedOptions[0].textContent,
+      color: '#e5c07b',
+      points: snrVersusLevel({ bits, compression })
+    });
+  }
+  drawSnrCurves(dom.snrLevel2, curves);
+}
+
+// Per-channel arrays of a recorded field, e.g. recordedChannels('quantFloat')
+// returns [quantFloat] for mono and [quantFloat, quantFloatR] for stereo
+function recordedChannels(key) {
+  if (!recorded) return [];
+  return (recorded.ch === 2) ? [recorded[key], recorded[`${key}R`]] : [recorded[key]];
 }
 
 // Remove unused playback functions for Step 2
@@ -459,38 +1010,436 @@ async function simulateRecording() {
 function downloadWav() {
   if (!recorded) return;
   
-  const blob = (recorded.encoding.startsWith('μ-law'))
-    ? encodeWavFromULaw(recorded.ulaw, recorded.fs, recorded.ch)
-    : encodeWavFromPCM(recorded.quantFloat, recorded.fs, recorded.bitDepth, recorded.ch);
+  // Continuous-formula companding has no standard WAV code, so it is
+  // exported as the expanded signal in 16-bit PCM
+  let blob;
+  if (recorded.g711) {
+    blob = encodeWavFromG711(recordedChannels('g711'), recorded.fs, recorded.law);
+  } else if (recorded.isFloat) {
+    blob = encodeWavFromFloat32(recordedChannels('quantFloat'), recorded.fs);
+  } else {
+    const bits = recorded.law ? 16 : recorded.bitDepth;
+    blob = encodeWavFromPCM(recordedChannels('quantFloat'), recorded.fs, bits);
+  }
+
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `recorded_${recorded.fs}Hz_${recorded.ch}ch_${recorded.encoding.replace(/[\s()]+/g, '')}.wav`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
 
+// Export the sigma-delta ADC's 1-bit streams as DSF or DFF
+function downloadDsd(format) {
+  if (!recorded || !recorded.dsd) return;
+  const { rate } = recorded.dsd[0];
+  const blob = (format === 'dff') ? encodeDff(recorded.dsd, rate) : encodeDsf(recorded.dsd, rate);
+  
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = `recorded_${recorded.fs}Hz_${recorded.encoding.replace(/\s+/g, '')}.wav`;
+  a.download = `recorded_${rate}Hz_${recorded.ch}ch_1bit.${format}`;
   a.click();
   setTimeout(() => URL.revokeObjectURL(a.href), 1000);
 }
 
+// Recorded spectrum with the predicted position of every partial
+function drawAliasPrediction(adcMode, oscillatorMode) {
+  const fs = recorded.fs;
+  const partials = state.importedAudio ? [] : predictAliasing(state.waveforms, {
+    analogRate: recorded.analogRate,
+    recRate: fs,
+    adcMode,
+    channels: recorded.ch,
+    oscillatorMode
+  });
+  
+  const markers = partials.map(p => ({
+    freq: p.aliasFreq,
+    db: p.levelDb,
+    color: !p.aliased ? '#56b6c2' : (p.removed ? '#8ca0b3' : '#e06c75'),
+    hollow: p.removed
+  }));
+  drawSpectrumDb(dom.spec2, welchSpectrum(recorded.quantFloat, { size: 4096 }), fs, {
+    minDb: -120,
+    maxDb: 0,
+    color: '#98c379',
+    label: 'dBFS',
+    markers
+  });
+  
+  if (state.importedAudio) {
+    dom.aliasList.innerHTML = '<div class="small">Alias prediction needs the waveform source (no file loaded).</div>';
+    return;
+  }
+  const aliased = partials.filter(p => p.aliased);
+  const status = p => !p.aliased ? 'in band' : (p.removed ? 'removed' : 'ALIASED');
+  // Aliased partials first, loudest first
+  const rows = [...aliased, ...partials.filter(p => !p.aliased)]
+    .sort((a, b) => (b.aliased - a.aliased) || (b.levelDb - a.levelDb))
+    .slice(0, 40);
+  dom.aliasList.innerHTML = `<div class="small">${partials.length} partials · ${aliased.length} above the ${fmt(fs / 2000, 2)} kHz Nyquist</div>
+    <table class="metrics-table">
+    <tr><th>Wave · partial</th><th>Original</th><th>After sampling</th><th>Level</th><th>Status</th></tr>
+    ${rows.map(p => `<tr><td>${p.wave} ${p.type} · ×${p.order}</td><td>${fmt(p.freq, 1)} Hz</td><td>${fmt(p.aliasFreq, 1)} Hz</td><td>${fmt(p.levelDb, 1)} dBFS</td><td>${status(p)}</td></tr>`).join('')}
+  </table>`;
+}
+
+// Anti-alias filter spec from the Step 2 controls for the analog render at
+// `rate` (null when off)
+function getAntiAliasFilter(rate) {
+  const type = dom.aaKindSel.value;
+  if (type === 'none') return null;
+  const cutoff = parseFloat(dom.aaCutoffInput.value);
+  const cutoff2 = parseFloat(dom.aaCutoff2Input.value);
+  const family = dom.aaFamilySel.value;
+  const isFir = family.startsWith('fir');
+  const spec = {
+    type,
+    family,
+    order: clamp(parseInt(dom.aaOrderInput.value, 10) || 1, 1, isFir ? 255 : iirOrderLimit(family)),
+    // Band edges in ascending order
+    cutoff: Math.min(cutoff, cutoff2),
+    cutoff2: Math.max(cutoff, cutoff2),
+    ripple: parseFloat(dom.aaRippleInput.value),
+    attenuation: parseFloat(dom.aaAttenInput.value),
+    transition: parseFloat(dom.aaTransitionInput.value)
+  };
+  // An IIR design that comes out unstable records unfiltered, with the
+  // reason in the filter summary
+  if (!isFir) {
+    try {
+      designFilter(spec, rate);
+    } catch (e) {
+      dom.aaSummary.textContent = `${e.message} — recording unfiltered`;
+      return null;
+    }
+  }
+  return spec;
+}
+
+// Show only the anti-alias settings that apply to the chosen type and design
+function updateFilterControls() {
+  const type = dom.aaKindSel.value;
+  const family = dom.aaFamilySel.value;
+  const on = type !== 'none';
+  const show = (cls, visible) => document.querySelectorAll(cls).forEach(node => node.classList.toggle('hidden', !visible));
+  show('.aa-only', on);
+  show('.aa-band-only', type === 'bandpass' || type === 'notch');
+  show('.aa-ripple-only', on && ['cheby1', 'elliptic', 'fir-pm'].includes(family));
+  show('.aa-atten-only', on && ['cheby2', 'elliptic', 'fir-window', 'fir-pm'].includes(family));
+  show('.aa-transition-only', on && family === 'fir-pm');
+  dom.aaOrderHint.textContent = family.startsWith('fir') ? '(FIR taps − 1)' : '(IIR order)';
+  dom.aaOrderInput.max = family.startsWith('fir') ? 255 : iirOrderLimit(family);
+}
+
+// Magnitude, phase and group delay of the anti-alias filter at the analog
+// rate, with the attenuation left at the recording Nyquist. `noise` (the
+// unfiltered and filtered source) adds the measured response.
+function drawFilterDesign(filter, noise = null) {
+  if (!filter) return;
+  const analogRate = recorded.analogRate;
+  const nyquist = recorded.fs / 2;
+  const design = designFilter(filter, analogRate);
+  const response = frequencyResponse(design, analogRate, 1024);
+  const overlays = noise
+    ? [{ values: noiseResponse(noise.input, analogRate, noise.output, analogRate, response.freq), color: '#e5c07b', label: 'measured (noise)' }]
+    : [];
+  drawFilterResponse(dom.aaResponse, response, analogRate, { markFreq: nyquist, markLabel: 'fs/2', overlays });
+  
+  const last = response.freq.length - 1;
+  const at = f => clamp(Math.round(f / (analogRate / 2) * last), 0, last);
+  // Group delay in the middle of the passband
+  const centre = {
+    lowpass: filter.cutoff / 2,
+    highpass: Math.min(2 * filter.cutoff, nyquist),
+    bandpass: Math.sqrt(filter.cutoff * filter.cutoff2),
+    notch: filter.cutoff / 2
+  }[filter.type];
+  const delayMs = response.groupDelay[at(centre)] / analogRate * 1000;
+  const size = (design.kind === 'fir') ? `${design.taps.length} taps` : `${design.sos.length} sections`;
+  dom.aaSummary.textContent = `${size} · ${fmt(response.magDb[at(nyquist)], 1)} dB at fs/2 · delay ${fmt(delayMs, 3)} ms at ${fmt(centre, 0)} Hz`;
+}
+
+// ADC or DAC clock spec from the Step 2 / Step 3 "Clock & jitter" controls
+// (jitter entered in ns). Each converter has its own jitter stream of the
+// app seed.
+function getClock(stage) {
+  const value = name => parseFloat(dom[`${stage}${name}Input`].value) || 0;
+  return {
+    ppm: value('Ppm'),
+    jitterRms: Math.max(0, value('Jitter')) * 1e-9,
+    sineJitter: Math.max(0, value('SineJitter')) * 1e-9,
+    sineFreq: Math.max(1, value('SineJitterFreq')),
+    seed: deriveSeed(state.seed, `${stage}-clock`)
+  };
+}
+
+// Converter imperfections from the Step 2 controls; the DNL and missing codes
+// come from the app seed
+function getConverter() {
+  const value = input => parseFloat(input.value) || 0;
+  return {
+    offset: value(dom.adcOffsetInput),
+    gainError: value(dom.adcGainErrorInput),
+    inl: value(dom.adcInlInput),
+    inlShape: dom.adcInlShapeSel.value,
+    dnl: clamp(value(dom.adcDnlInput), 0, 1),
+    missingCodes: clamp(value(dom.adcMissingInput), 0, MAX_MISSING_CODES),
+    overload: dom.adcOverloadSel.value,
+    seed: deriveSeed(state.seed, 'adc-converter')
+  };
+}
+
+// INL / DNL plot of the converter model and a summary. `nonLinear` is true
+// for float and companded formats, which bypass the model.
+function drawConverter(converter, bits, nonLinear) {
+  if (nonLinear || isIdealConverter(converter)) {
+    drawConverterErrors(dom.converterPlot, { codes: [], inl: [], dnl: [], missing: [] });
+    dom.converterBox.textContent = (nonLinear && !isIdealConverter(converter))
+      ? 'The converter model applies to linear PCM.'
+      : '';
+    return;
+  }
+  const quantizer = pcmQuantizer(bits);
+  const errors = converterErrors(quantizer, converter);
+  drawConverterErrors(dom.converterPlot, errors);
+  if (bits === 1) {
+    dom.converterBox.textContent = 'A 1‑bit converter has no INL or DNL; offset, gain and overload still apply.';
+    return;
+  }
+  const peakOf = values => values.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+  const missing = errors.missing.filter(Boolean).length;
+  dom.converterBox.innerHTML = `INL <span class="mono">${fmt(peakOf(errors.inl), 2)} LSB</span> · DNL <span class="mono">${fmt(peakOf(errors.dnl), 2)} LSB</span> peak`
+    + ` over ${errors.codes.length < quantizer.levels - 2 ? `${errors.codes.length} sampled` : 'all'} codes`
+    + (missing ? ` · <span style="color:#e06c75">${missing} missing</span>` : '');
+}
+
+// Clipping indicator: samples beyond full scale in all channels
+function updateClipIndicator(clips, total) {
+  dom.clipStatus.classList.toggle('clipping', clips > 0);
+  dom.clipLabel.textContent = clips > 0
+    ? `Clipping: ${clips} samples (${fmt(100 * clips / total, 2)}%)`
+    : 'No clipping';
+}
+
+// Jitter noise (same SNR measure as computeSNR, against the unjittered
+// clock), periodic-jitter sidebands and the frequency shift of the clock
+// offset, next to their predictions for the fundamental. `shiftSign` is −1
+// for the ADC (a fast clock lowers the recorded pitch) and +1 for the DAC.
+function clockReport({ clock, sampled, reference }, rate, shiftSign) {
+  const m = measureSignal(reference, rate);
+  if (!m) return '';
+  const f0 = m.fundamental;
+  const lines = [];
+  if (totalJitter(clock) > 0) {
+    lines.push(`Jitter noise: SNR <strong>${fmt(computeSNR(reference, sampled), 1)} dB</strong> · predicted ${fmt(jitterSnrTheory(f0, clock), 1)} dB at ${fmt(f0, 0)} Hz`);
+  }
+  if (clock.sineJitter > 0) {
+    const error = sampled.map((v, i) => v - reference[i]);
+    const { lower, upper } = measureSidebands(error, rate, f0, clock.sineFreq, { carrier: reference });
+    const level = v => (v === null) ? '—' : `${fmt(v, 1)} dBc`;
+    lines.push(`Sidebands at ±${fmt(clock.sineFreq, 0)} Hz: ${level(lower)} / ${level(upper)} · predicted ${fmt(sidebandTheory(f0, clock), 1)} dBc`);
+  }
+  if (clock.ppm) {
+    lines.push(`Clock offset ${clock.ppm > 0 ? '+' : ''}${clock.ppm} ppm: tones shift by ${fmt(shiftSign * f0 * clock.ppm * 1e-6, 3)} Hz at ${fmt(f0, 0)} Hz`);
+  }
+  return lines.join('<br/>');
+}
+
+// THD / SINAD / ENOB table for the recording and the DAC output
+function drawMeasurements() {
+  const rows = [
+    ['Fundamental', m => `${fmt(m.fundamental, 1)} Hz`],
+    ['Level', m => `${fmt(m.fundamentalDbfs, 1)} dBFS`],
+    ['THD', m => `${fmt(m.thd, 1)} dB (${m.thdPercent < 0.01 ? m.thdPercent.toExponential(1) : fmt(m.thdPercent, 3)} %)`],
+    ['THD+N', m => `${fmt(m.thdN, 1)} dB`],
+    ['SINAD', m => `${fmt(m.sinad, 1)} dB`],
+    ['ENOB', m => `${fmt(m.enob, 2)} bits`],
+    ['SFDR', m => `${fmt(m.sfdr, 1)} dB`],
+    ['Noise floor', m => `${fmt(m.noiseFloor, 1)} dBFS/bin`]
+  ];
+  const cell = (m, f) => `<td>${m ? f(m) : '—'}</td>`;
+  dom.measureBox.innerHTML = `<table class="metrics-table">
+    <tr><th></th><th>ADC</th><th>DAC out</th></tr>
+    ${rows.map(([label, f]) => `<tr><td>${label}</td>${cell(measurements.adc, f)}${cell(measurements.dac, f)}</tr>`).join('')}
+  </table>`;
+}
+
 // Step 3: DAC reconstruction
 async function renderDAC() {
   if (!audioCtx || !recorded) return;
 
   const method = dom.dacMethodSel.value;
-  const lpHz = parseFloat(dom.dacLPInput.value);
   const fsOut = audioCtx.sampleRate;
   const fsIn = recorded.fs;
-
-  const y = reconstructDAC(recorded.quantFloat, fsIn, fsOut, method);
-  const yLP = (lpHz > 0) ? onePoleLowpass(y, fsOut, lpHz) : y;
+  const dacOptions = {
+    sincTaps: clamp(parseInt(dom.dacSincTapsInput.value, 10) || 32, 4, 256),
+    sincWindow: dom.dacSincWindowSel.value,
+    clock: getClock('dac')
+  };
+  const filter = getReconstructionFilter(fsIn, fsOut);
+  const deltaSigma = method.startsWith('Oversampling');
+  const dsmOptions = {
+    osr: parseInt(dom.dsmOsrSel.value, 10),
+    interpolation: dom.dsmInterpSel.value,
+    order: parseInt(dom.dsmOrderSel.value, 10),
+    bits: parseInt(dom.dsmBitsSel.value, 10)
+  };
+  
+  // Linear-phase FIR stages are delay-compensated to stay aligned with the
+  // A source. The delta-sigma path keeps the left channel's bit stream for
+  // its spectrum.
+  let dsm = null;
+  let dacClock = null;
+  const outputs = recordedChannels('quantFloat').map((q, c) => {
+    let y;
+    if (deltaSigma) {
+      const result = deltaSigmaDAC(q, fsIn, fsOut, dsmOptions);
+      if (c === 0) dsm = result;
+      y = result.output;
+    } else {
+      y = reconstructDAC(q, fsIn, fsOut, method, dacOptions);
+      // Jitter is measured against the same clock without jitter
+      if (c === 0 && hasClockError(dacOptions.clock)) {
+        const reference = reconstructDAC(q, fsIn, fsOut, method, { ...dacOptions, clock: { ppm: dacOptions.clock.ppm } });
+        dacClock = { clock: dacOptions.clock, sampled: y, reference };
+      }
+    }
+    return filter.stages.length ? applyFilter(filter, y, { compensateDelay: true }) : y;
+  });
+  if (dsm) drawDeltaSigma(dsm, fsIn);
+  dom.dacClockBox.innerHTML = dacClock
+    ? clockReport(dacClock, fsOut, 1)
+    : (deltaSigma && hasClockError(dacOptions.clock) ? 'The clock model applies to the PCM DAC methods.' : '');
 
   // Store DAC buffer for A/B comparison
-  dacBuf = audioCtx.createBuffer(1, yLP.length, fsOut);
-  dacBuf.getChannelData(0).set(yLP);
+  dacBuf = audioCtx.createBuffer(outputs.length, outputs[0].length, fsOut);
+  outputs.forEach((yLP, c) => dacBuf.getChannelData(c).set(yLP));
   
   // Don't actually play here - just prepare the buffer
   // The A/B toggle will handle playback
   
   // Store for A/B comparison
   abSourceB = dacBuf;
+  
+  measurements.dac = measureSignal(outputs[0], fsOut);
+  drawMeasurements();
+  drawSpectrograms();
+  const noise = sourceHasNoise() ? { input: recordedChannels('quantFloat')[0], output: outputs[0] } : null;
+  drawReconstructionResponse(filter, fsIn, fsOut, measureImages(outputs[0], fsOut, fsIn / 2), noise);
+  const testWave = testSignalWave();
+  dom.chainCard.classList.toggle('hidden', !testWave);
+  if (testWave) drawChainResponse(testWave, outputs[0], fsOut);
+}
+
+// Bit-stream spectrum of the delta-sigma DAC on a log frequency axis, with the
+// band edge at the recording Nyquist
+function drawDeltaSigma(dsm, fsIn) {
+  const { spectrum, snr, outOfBandDb } = shapedNoiseLevels(dsm, fsIn / 2);
+  drawSpectrumDb(dom.dsmSpec, spectrum, dsm.rate, {
+    minDb: -180,
+    maxDb: 0,
+    color: '#56b6c2',
+    label: 'Modulator dBFS / bin',
+    logFreq: true,
+    markFreq: fsIn / 2,
+    markLabel: 'fs/2'
+  });
+  const overloads = dsm.overloads ? ` · ${dsm.overloads} overloads` : '';
+  const limited = (dsm.osr < parseInt(dom.dsmOsrSel.value, 10)) ? ` · OSR limited to ${dsm.osr}× for this recording length` : '';
+  dom.dsmSummary.textContent = `${fmt(dsm.rate / 1e6, 3)} MHz · in‑band SNR ${fmt(snr, 1)} dB · out‑of‑band noise +${fmt(outOfBandDb, 1)} dB${overloads}${limited}`;
+}
+
+// Reconstruction filter at the output rate from the Step 3 controls, as a
+// cascade of the low-pass and the optional sinc droop EQ (empty when off)
+function getReconstructionFilter(fsIn, fsOut) {
+  const kind = dom.dacFilterSel.value;
+  const cutoff = parseFloat(dom.dacLPInput.value) || fsIn / 2;
+  const stages = [];
+  if (kind === 'one-pole') {
+    stages.push(designOnePole(cutoff, fsOut));
+  } else if (kind === 'butterworth' || kind === 'elliptic') {
+    const order = clamp(parseInt(dom.dacFilterOrderInput.value, 10) || 8, 1, iirOrderLimit(kind));
+    stages.push(designFilter({ type: 'lowpass', family: kind, order, cutoff, ripple: 0.1, attenuation: 90 }, fsOut));
+  } else if (kind === 'fir') {
+    const taps = clamp(parseInt(dom.dacFirTapsInput.value, 10) || 127, 3, 511);
+    stages.push(designFilter({ type: 'lowpass', family: 'fir-window', order: taps - 1, cutoff, attenuation: 90 }, fsOut));
+  }
+  if (dom.dacSincEqToggle.checked) stages.push(designSincCompensation(fsIn, fsOut));
+  return { kind: 'cascade', stages };
+}
+
+// Filter response with the ZOH sin(x)/x envelope of the recording rate and
+// the overall ZOH × filter magnitude, plus the image level of the output.
+// With a noise source (`noise`: recorded input and DAC output) the whole
+// DAC's measured response is drawn as well.
+function drawReconstructionResponse(filter, fsIn, fsOut, imagesDb, noise = null) {
+  const response = frequencyResponse(filter, fsOut, 1024);
+  const zoh = response.freq.map(f => {
+    const x = Math.PI * f / fsIn;
+    return (x === 0) ? 0 : 20 * Math.log10(Math.max(Math.abs(Math.sin(x) / x), 1e-6));
+  });
+  drawFilterResponse(dom.dacResponse, response, fsOut, {
+    markFreq: fsIn / 2,
+    markLabel: 'fs/2',
+    overlays: [
+      { values: zoh, color: '#8ca0b3', label: 'ZOH sinc', dashed: true },
+      { values: zoh.map((v, i) => v + response.magDb[i]), color: '#98c379', label: 'ZOH × filter' },
+      ...(noise ? [{ values: noiseResponse(noise.input, fsIn, noise.output, fsOut, response.freq), color: '#e5c07b', label: 'DAC measured (noise)' }] : [])
+    ]
+  });
+  
+  const last = response.freq.length - 1;
+  const atNyquist = clamp(Math.round(fsIn / fsOut * last), 0, last);
+  const images = (imagesDb === null) ? 'no image band at this output rate' : `images ${fmt(imagesDb, 1)} dB re. in‑band`;
+  dom.dacRespSummary.textContent = `ZOH × filter ${fmt(zoh[atNyquist] + response.magDb[atNyquist], 1)} dB at fs/2 · ${images}`;
+}
+
+// Whole-chain response (anti-alias filter, ADC, quantizer, DAC and output
+// filter) from a test signal: the DAC output is deconvolved against the
+// excitation as the source rendered it, scaled by the wave's level and pan
+// (same balance law as renderOfflineFromWaves)
+function drawChainResponse(w, output, rate) {
+  const direct = dom.oscModeSel.value !== 'band-limited';
+  const synthRate = direct ? recorded.fs : recorded.analogRate;
+  let source = renderTestSignal(w.type, { length: Math.ceil(recorded.duration * synthRate), sampleRate: synthRate });
+  if (synthRate !== rate) source = resample(source, synthRate, rate);
+  const pan = clamp(w.pan || 0, -1, 1);
+  const left = Math.min(1, 1 - pan);
+  const gain = w.amp * ((recorded.ch === 1) ? 0.5 * (left + Math.min(1, 1 + pan)) : left);
+  for (let i = 0; i < source.length; i++) source[i] *= gain;
+  
+  const pre = 256;
+  const { ir, latency } = deconvolve(source, output, { pre });
+  const response = impulseToResponse(ir, rate, { origin: pre });
+  drawFilterResponse(dom.chainResponse, response, rate, { markFreq: recorded.fs / 2, markLabel: 'fs/2' });
+  drawArrayToScope(dom.chainImpulse, ir.subarray(0, 4 * pre), rate);
+  
+  const last = response.freq.length - 1;
+  const at = f => response.magDb[clamp(Math.round(f / (rate / 2) * last), 0, last)];
+  // The measurement assumes the test signal plays alone
+  const others = audibleWaves().length - 1;
+  const alone = others ? ` · ${others} other wave${others > 1 ? 's' : ''} playing add${others > 1 ? '' : 's'} to the result` : '';
+  dom.chainSummary.textContent = `${fmt(at(1000), 2)} dB at 1 kHz · ${fmt(at(recorded.fs / 2), 1)} dB at fs/2 · latency ${fmt(1000 * latency / rate, 3)} ms${alone}`;
+}
+
+// Spectrogram settings shared by Step 2 and Step 3
+function getSpectrogramSettings() {
+  const size = parseInt(dom.sgramSizeSel.value, 10);
+  const hop = Math.min(size, parseInt(dom.sgramHopSel.value, 10));
+  return { size, hop, window: dom.sgramWindowSel.value };
+}
+
+// Recompute and draw the offline spectrograms of the recorded and DAC signals
+function drawSpectrograms() {
+  const settings = getSpectrogramSettings();
+  
+  if (recorded) {
+    drawSpectrogram(dom.sgram2, stft(recorded.quantFloat, settings), recorded.fs);
+  }
+  if (dacBuf) {
+    drawSpectrogram(dom.sgram3, stft(dacBuf.getChannelData(0), settings), dacBuf.sampleRate);
+  }
 }
 
 // A/B Toggle functionality  
@@ -626,6 +1575,34 @@ document.addEventListener('DOMContentLoaded', () => {
     console.error('Add Waveform button not found!');
   }
   
+  dom.addLfoBtn.addEventListener('click', () => {
+    addLfo();
+    renderLfos();
+    if (audioCtx) scheduleGeneration();
+  });
+  
+  // Audio file import (drop or file picker)
+  dom.importChooseBtn.addEventListener('click', () => dom.importFileInput.click());
+  dom.importFileInput.addEventListener('change', () => loadImportedFile(dom.importFileInput.files[0]));
+  dom.importClearBtn.addEventListener('click', clearImportedFile);
+  
+  dom.dropZone.addEventListener('dragover', ev => {
+    ev.preventDefault();
+    dom.dropZone.classList.add('dragover');
+  });
+  dom.dropZone.addEventListener('dragleave', () => dom.dropZone.classList.remove('dragover'));
+  dom.dropZone.addEventListener('drop', ev => {
+    ev.preventDefault();
+    dom.dropZone.classList.remove('dragover');
+    loadImportedFile(ev.dataTransfer.files[0]);
+  });
+  
+  [dom.importChannelsSel, dom.importOffsetInput].forEach(ctrl => {
+    ctrl.addEventListener('input', () => {
+      if (audioCtx && state.importedAudio) scheduleGeneration();
+    });
+  });
+  
   // Step 1 controls
   if (dom.previewDurInput) {
     dom.previewDurInput.addEventListener('input', () => {
@@ -641,6 +1618,17 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  // Random seed
+  if (dom.seedInput) {
+    dom.seedInput.addEventListener('change', () => {
+      setSeed(parseInt(dom.seedInput.value, 10));
+    });
+  }
+  
+  if (dom.newSeedBtn) {
+    dom.newSeedBtn.addEventListener('click', () => setSeed(randomSeed()));
+  }
+  
   // Auto-scale toggle
   if (dom.autoScaleToggle) {
     dom.autoScaleToggle.addEventListener('change', () => {
@@ -690,14 +1678,48 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   // Step 2 controls - auto-update on any change
-  [dom.recRateSel, dom.bitDepthSel, dom.channelsSel, dom.recDurInput,
-   dom.aaKindSel, dom.aaCutoffInput, dom.ditherSel, dom.compressionSel].forEach(ctrl => {
+  [dom.recRateSel, dom.adcModeSel, dom.adcTypeSel, dom.dsdMultipleSel, dom.dsdOrderSel, dom.oscModeSel,
+   dom.bitDepthSel, dom.channelsSel, dom.recDurInput,
+   dom.aaKindSel, dom.aaFamilySel, dom.aaOrderInput, dom.aaCutoffInput, dom.aaCutoff2Input, dom.aaRippleInput,
+   dom.aaAttenInput, dom.aaTransitionInput, dom.ditherSel, dom.noiseShapingSel, dom.compressionSel,
+   dom.adcJitterInput, dom.adcSineJitterInput, dom.adcSineJitterFreqInput, dom.adcPpmInput,
+   dom.adcOffsetInput, dom.adcGainErrorInput, dom.adcInlInput, dom.adcInlShapeSel, dom.adcDnlInput,
+   dom.adcMissingInput, dom.adcOverloadSel].forEach(ctrl => {
     ctrl.addEventListener('input', () => {
       updateSizeBox();
       if (audioCtx) scheduleGeneration();
     });
   });
   
+  // Which waves take FM and fast vibrato follows the oscillator mode
+  dom.oscModeSel.addEventListener('input', renderWaves);
+  
+  // Custom bit depth slider is only shown for the "custom" bit depth
+  const updateBitDepthOptions = () => {
+    const custom = dom.bitDepthSel.value === 'custom';
+    document.querySelectorAll('.bits-custom-only').forEach(node => node.classList.toggle('hidden', !custom));
+    dom.bitDepthCustomValue.textContent = dom.bitDepthCustomInput.value;
+  };
+  dom.bitDepthSel.addEventListener('input', updateBitDepthOptions);
+  dom.bitDepthCustomInput.addEventListener('input', () => {
+    updateBitDepthOptions();
+    updateSizeBox();
+    if (audioCtx) scheduleGeneration();
+  });
+  updateBitDepthOptions();
+  
+  // Bit-stream settings and DSD export only apply to the sigma-delta ADC
+  const updateAdcOptions = () => {
+    const isDsd = dom.adcTypeSel.value === 'dsd';
+    document.querySelectorAll('.dsd-only').forEach(node => node.classList.toggle('hidden', !isDsd));
+  };
+  dom.adcTypeSel.addEventListener('input', updateAdcOptions);
+  updateAdcOptions();
+  
+  // Anti-alias settings depend on the filter type and design
+  [dom.aaKindSel, dom.aaFamilySel].forEach(ctrl => ctrl.addEventListener('input', updateFilterControls));
+  updateFilterControls();
+  
   // Sampling zoom control
   if (dom.samplingZoom) {
     dom.samplingZoom.addEventListener('input', () => {
@@ -705,20 +1727,53 @@ document.addEventListener('DOMContentLoaded', () => {
         const samplingCtx = dom.samplingViz.getContext('2d');
         const zoomLevel = parseFloat(dom.samplingZoom.value) || 1;
         drawSamplingVisualization(samplingCtx, dom.samplingViz, 
-          recorded.float, audioCtx.sampleRate, recorded.bitDepth, recorded.fs, zoomLevel);
+          recorded.analog, recorded.analogRate, recorded.bitDepth, recorded.fs, zoomLevel, recorded.dsd && recorded.dsd[0]);
       }
     });
   }
   
   dom.downloadWavBtn.addEventListener('click', downloadWav);
+  dom.downloadDsfBtn.addEventListener('click', () => downloadDsd('dsf'));
+  dom.downloadDffBtn.addEventListener('click', () => downloadDsd('dff'));
+  
+  // Spectrogram settings only need a redraw, not a new recording
+  [dom.sgramWindowSel, dom.sgramSizeSel, dom.sgramHopSel].forEach(ctrl => {
+    ctrl.addEventListener('input', drawSpectrograms);
+  });
   
   // Step 3 controls
-  [dom.dacMethodSel, dom.dacLPInput].forEach(ctrl => {
+  [dom.dacMethodSel, dom.dacSincTapsInput, dom.dacSincWindowSel, dom.dsmOsrSel, dom.dsmInterpSel,
+   dom.dsmOrderSel, dom.dsmBitsSel, dom.dacFilterSel, dom.dacLPInput,
+   dom.dacFilterOrderInput, dom.dacFirTapsInput, dom.dacSincEqToggle,
+   dom.dacJitterInput, dom.dacSineJitterInput, dom.dacSineJitterFreqInput, dom.dacPpmInput].forEach(ctrl => {
     ctrl.addEventListener('input', () => {
       if (audioCtx) scheduleGeneration();
     });
   });
   
+  // Sinc kernel settings only apply to the windowed-sinc DAC, modulator
+  // settings to the delta-sigma DAC
+  const updateDacOptions = () => {
+    const isSinc = dom.dacMethodSel.value.startsWith('Windowed sinc');
+    document.querySelectorAll('.sinc-only').forEach(node => node.classList.toggle('hidden', !isSinc));
+    const isDeltaSigma = dom.dacMethodSel.value.startsWith('Oversampling');
+    document.querySelectorAll('.dsm-only').forEach(node => node.classList.toggle('hidden', !isDeltaSigma));
+  };
+  dom.dacMethodSel.addEventListener('input', updateDacOptions);
+  updateDacOptions();
+  
+  // Order and tap count depend on the reconstruction filter type
+  const updateReconFilterOptions = () => {
+    const kind = dom.dacFilterSel.value;
+    const show = (cls, visible) => document.querySelectorAll(cls).forEach(node => node.classList.toggle('hidden', !visible));
+    show('.recon-filter-only', kind !== 'none');
+    show('.recon-iir-only', kind === 'butterworth' || kind === 'elliptic');
+    show('.recon-fir-only', kind === 'fir');
+    dom.dacFilterOrderInput.max = iirOrderLimit(kind);
+  };
+  dom.dacFilterSel.addEventListener('input', updateReconFilterOptions);
+  updateReconFilterOptions();
+  
   dom.dacGainInput.addEventListener('input', () => {
     if (dacGainNode) {
       dacGainNode.gain.setTargetAtTime(
@@ -0,0 +1,281 @@
+// Converter measurements from a windowed FFT: THD, THD+N, SINAD, ENOB, SFDR
+// and noise floor, for a signal dominated by one tone
+
+import { foldFrequency, nextPowerOf2 } from './utils.js';
+import { rfft, irfft, createWindow, applyWindow, welchSpectrum } from './fft.js';
+
+// Half-width (in bins) of the window's main lobe, summed as one component
+const LOBE_BINS = {
+  hann: 2,
+  blackman: 3,
+  'blackman-harris': 4,
+  flattop: 5
+};
+
+// The default Kaiser β = 20 keeps sidelobes near −190 dB, so leakage from
+// the fundamental stays below 24-bit quantization noise
+function lobeBins(window, beta) {
+  if (window === 'kaiser') return Math.ceil(Math.sqrt(1 + (beta / Math.PI) ** 2)) + 1;
+  return LOBE_BINS[window] || 1;
+}
+
+// Power of a full-scale sine (amplitude 1), the 0 dBFS reference
+const FULL_SCALE_POWER = 0.5;
+
+const toDb = ratio => 10 * Math.log10(Math.max(ratio, 1e-30));
+
+// One-sided power spectrum scaled so a sine of amplitude A sums to A²/2 over
+// its main lobe. Uses the centre of the signal, away from start-up transients.
+function powerSpectrum(signal, size, window, beta) {
+  const win = createWindow(window, size, { beta });
+  let winPower = 0;
+  for (let i = 0; i < size; i++) winPower += win[i] * win[i];
+  const offset = Math.floor((signal.length - size) / 2);
+  const { re, im } = rfft(applyWindow(signal, win, offset), size);
+  const P = new Float64Array(re.length);
+  for (let k = 0; k < P.length; k++) {
+    const edge = (k === 0 || k === P.length - 1) ? 1 : 2;
+    P[k] = edge * (re[k] * re[k] + im[k] * im[k]) / (size * winPower);
+  }
+  return P;
+}
+
+// Largest bin within ±radius of `center`
+function peakNear(P, center, radius) {
+  let best = clampBin(center, P.length);
+  for (let k = Math.max(1, center - radius); k <= Math.min(P.length - 1, center + radius); k++) {
+    if (P[k] > P[best]) best = k;
+  }
+  return best;
+}
+
+function clampBin(k, n) {
+  return Math.min(n - 1, Math.max(0, Math.round(k)));
+}
+
+// Measure `signal` at `sampleRate`. The fundamental is the strongest tone
+// unless `fundamental` (Hz) is given; harmonics 2..`harmonics` are located at
+// their aliased positions. Everything else except DC is noise.
+export function measureSignal(signal, sampleRate, { size = 16384, window = 'kaiser', beta = 20, fundamental = null, harmonics = 9 } = {}) {
+  const n = Math.min(size, Math.pow(2, Math.floor(Math.log2(Math.max(2, signal.length)))));
+  if (n < 64) return null;
+
+  const P = powerSpectrum(signal, n, window, beta);
+  const nBins = P.length;
+  const lobe = lobeBins(window, beta);
+  const binHz = sampleRate / n;
+  const used = new Uint8Array(nBins);
+
+  // Sum the main lobe around `peak` and mark its bins as assigned
+  const takeLobe = peak => {
+    let power = 0;
+    let moment = 0;
+    for (let k = Math.max(0, peak - lobe); k <= Math.min(nBins - 1, peak + lobe); k++) {
+      if (used[k]) continue;
+      used[k] = 1;
+      power += P[k];
+      moment += P[k] * k;
+    }
+    return { power, bin: power > 0 ? moment / power : peak };
+  };
+
+  // DC is excluded from every figure
+  takeLobe(0);
+
+  // Fundamental
+  let k0;
+  if (fundamental) {
+    k0 = peakNear(P, clampBin(fundamental / binHz, nBins), lobe);
+  } else {
+    k0 = lobe + 1;
+    for (let k = lobe + 1; k < nBins; k++) {
+      if (P[k] > P[k0]) k0 = k;
+    }
+  }
+  const fund = takeLobe(k0);
+  if (fund.power <= 0) return null;
+  const f0 = fund.bin * binHz;
+
+  // Harmonics at their (possibly aliased) positions
+  const harmonicList = [];
+  let harmonicPower = 0;
+  for (let h = 2; h <= harmonics; h++) {
+    const freq = foldFrequency(h * f0, sampleRate);
+    const k = peakNear(P, clampBin(freq / binHz, nBins), 2);
+    if (used[k]) continue;
+    const { power } = takeLobe(k);
+    harmonicPower += power;
+    harmonicList.push({ order: h, freq, dbc: toDb(power / fund.power) });
+  }
+
+  // Noise: all remaining bins; the spur is the largest bin outside the fundamental
+  let noisePower = 0;
+  let noiseBins = 0;
+  let spur = 0;
+  for (let k = 0; k < nBins; k++) {
+    if (!used[k]) {
+      noisePower += P[k];
+      noiseBins++;
+    }
+  }
+  const fundLo = k0 - lobe;
+  const fundHi = k0 + lobe;
+  for (let k = lobe + 1; k < nBins; k++) {
+    if (k >= fundLo && k <= fundHi) continue;
+    if (P[k] > spur) spur = P[k];
+  }
+  const fundPeak = P[k0];
+
+  const sinad = toDb(fund.power / (harmonicPower + noisePower));
+  return {
+    fundamental: f0,
+    fundamentalDbfs: toDb(fund.power / FULL_SCALE_POWER),
+    harmonics: harmonicList,
+    thd: toDb(harmonicPower / fund.power),
+    thdPercent: 100 * Math.sqrt(harmonicPower / fund.power),
+    thdN: -sinad,
+    sinad,
+    enob: (sinad - 1.76) / 6.02,
+    sfdr: toDb(fundPeak / Math.max(spur, 1e-30)),
+    // Average noise power per FFT bin, so it depends on `size`
+    noiseFloor: toDb(noisePower / Math.max(1, noiseBins) / FULL_SCALE_POWER),
+    snr: toDb(fund.power / Math.max(noisePower, 1e-30)),
+    fftSize: n
+  };
+}
+
+// Levels (dBc) of the tones at `fundamental` ± `offset` Hz, e.g. periodic
+// jitter sidebands, relative to the fundamental of `carrier`. Passing an
+// error signal (jittered − ideal) with the ideal signal as the carrier keeps
+// other spurs out. A side that falls outside (0, Nyquist) or inside the
+// fundamental's main lobe is null.
+export function measureSidebands(signal, sampleRate, fundamental, offset, { carrier = signal, size = 16384, window = 'kaiser', beta = 20 } = {}) {
+  const n = Math.min(size, Math.pow(2, Math.floor(Math.log2(Math.max(2, signal.length)))));
+  if (n < 64) return { lower: null, upper: null };
+  const P = powerSpectrum(signal, n, window, beta);
+  const Pc = (carrier === signal) ? P : powerSpectrum(carrier, n, window, beta);
+  const lobe = lobeBins(window, beta);
+  const binHz = sampleRate / n;
+  const lobePower = (spectrum, k) => {
+    let power = 0;
+    for (let i = Math.max(0, k - lobe); i <= Math.min(spectrum.length - 1, k + lobe); i++) power += spectrum[i];
+    return power;
+  };
+  const k0 = peakNear(Pc, clampBin(fundamental / binHz, Pc.length), lobe);
+  const ref = lobePower(Pc, k0);
+  const side = freq => {
+    const k = Math.round(freq / binHz);
+    if (k <= lobe || k >= P.length - 1 - lobe || Math.abs(k - k0) <= 2 * lobe || ref <= 0) return null;
+    return toDb(lobePower(P, k) / ref);
+  };
+  return { lower: side(fundamental - offset), upper: side(fundamental + offset) };
+}
+
+// Level of the reconstruction images: power above `nyquist` (the recording
+// Nyquist) relative to the power below it, in dB. Null when `sampleRate`
+// leaves no room above `nyquist`.
+export function measureImages(signal, sampleRate, nyquist, { size = 8192 } = {}) {
+  if (sampleRate / 2 <= nyquist) return null;
+  const db = welchSpectrum(signal, { size });
+  const binHz = sampleRate / (2 * (db.length - 1));
+  let inBand = 0;
+  let images = 0;
+  for (let k = 1; k < db.length; k++) {
+    const p = Math.pow(10, db[k] / 10);
+    if (k * binHz <= nyquist) inBand += p;
+    else images += p;
+  }
+  return (inBand > 0) ? toDb(images / inBand) : null;
+}
+
+// Magnitude response (dB) from `input` at inputRate to `output` at
+// outputRate at each of `freqs` (Hz), as the ratio of their Welch spectra
+// averaged over about 1/8 octave. Meant for broadband (noise) sources. Above
+// the input Nyquist the input level at the folded frequency is used, so
+// reconstruction images read relative to the band they mirror.
+export function noiseResponse(input, inputRate, output, outputRate, freqs, { size = 4096 } = {}) {
+  const outSize = nextPowerOf2(Math.round(size * outputRate / inputRate));
+  const spectra = [[input, inputRate, size], [output, outputRate, outSize]].map(([signal, rate, n]) => {
+    const power = Array.from(welchSpectrum(signal, { size: n }), db => Math.pow(10, db / 10));
+    return { power, binHz: rate / (2 * (power.length - 1)) };
+  });
+  const coarseBin = Math.max(spectra[0].binHz, spectra[1].binHz);
+  // Average power per Hz within ±halfWidth of f
+  const density = ({ power, binHz }, f, halfWidth) => {
+    const lo = Math.max(1, Math.floor((f - halfWidth) / binHz));
+    const hi = Math.min(power.length - 1, Math.ceil((f + halfWidth) / binHz));
+    let sum = 0;
+    for (let k = lo; k <= hi; k++) sum += power[k];
+    return sum / Math.max(1, hi - lo + 1) / binHz;
+  };
+  return freqs.map(f => {
+    const halfWidth = Math.max(2 * coarseBin, 0.045 * f);
+    const ratio = density(spectra[1], f, halfWidth) / density(spectra[0], foldFrequency(f, inputRate), halfWidth);
+    return toDb(ratio);
+  });
+}
+
+// Impulse response of a system from its test-signal `input` and its `output`
+// at the same rate, by regularized spectral division Y·X* / (|X|² + ε) with
+// ε = `regularization` × max |X|². Returns `length` samples starting `pre`
+// samples before the main peak, the peak's position in the output (the
+// latency, negative when the output leads) and the raw full-length response.
+// Distortion products of a log sweep land well before the peak (Farina) and
+// fall outside the window.
+export function deconvolve(input, output, { length = 8192, pre = 256, regularization = 1e-6 } = {}) {
+  const n = nextPowerOf2(Math.max(input.length, output.length) + length);
+  const X = rfft(input, n);
+  const Y = rfft(output, n);
+  let maxPower = 0;
+  for (let k = 0; k < X.re.length; k++) maxPower = Math.max(maxPower, X.re[k] * X.re[k] + X.im[k] * X.im[k]);
+  const eps = regularization * maxPower || 1e-30;
+  const re = new Float64Array(X.re.length);
+  const im = new Float64Array(X.re.length);
+  for (let k = 0; k < re.length; k++) {
+    const d = X.re[k] * X.re[k] + X.im[k] * X.im[k] + eps;
+    re[k] = (Y.re[k] * X.re[k] + Y.im[k] * X.im[k]) / d;
+    im[k] = (Y.im[k] * X.re[k] - Y.re[k] * X.im[k]) / d;
+  }
+  const h = irfft(re, im, n);
+
+  let peak = 0;
+  for (let i = 1; i < n; i++) {
+    if (Math.abs(h[i]) > Math.abs(h[peak])) peak = i;
+  }
+  // Circular: pre-ringing of a response at lag 0 sits at the end
+  const ir = new Float32Array(length);
+  for (let i = 0; i < length; i++) ir[i] = h[(peak - pre + i + n) % n];
+  return { ir, latency: (peak > n / 2) ? peak - n : peak, full: h };
+}
+
+// Magnitude (dB), phase and group delay (samples) of an impulse response on
+// `points` frequencies from DC to Nyquist, in the form of frequencyResponse.
+// Phase and delay are relative to sample `origin` (e.g. the peak), which
+// removes the bulk latency.
+export function impulseToResponse(ir, sampleRate, { origin = 0, points = 1024 } = {}) {
+  const n = nextPowerOf2(Math.max(ir.length, 2 * (points - 1)));
+  const shifted = new Float64Array(n);
+  for (let i = 0; i < ir.length; i++) shifted[(i - origin + n) % n] = ir[i];
+  const { re, im } = rfft(shifted, n);
+  const last = re.length - 1;
+  const freq = new Float64Array(points);
+  const magDb = new Float64Array(points);
+  const phase = new Float64Array(points);
+  const groupDelay = new Float64Array(points);
+  const binAt = i => Math.round(i / (points - 1) * last);
+  const angle = k => Math.atan2(im[k], re[k]);
+  for (let i = 0; i < points; i++) {
+    const k = binAt(i);
+    freq[i] = k / last * sampleRate / 2;
+    const mag = Math.hypot(re[k], im[k]);
+    magDb[i] = 20 * Math.log10(Math.max(mag, 1e-12));
+    phase[i] = angle(k);
+    // −dφ/dω from the neighbouring bin, wrapped to (−π, π]
+    const k2 = Math.min(last, k + 1);
+    const k1 = k2 - 1;
+    let dphi = angle(k2) - angle(k1);
+    dphi -= 2 * Math.PI * Math.round(dphi / (2 * Math.PI));
+    groupDelay[i] = (mag > 1e-6) ? -dphi / (2 * Math.PI / n) : NaN;
+  }
+  return { freq, magDb, phase, groupDelay };
+}
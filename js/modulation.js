@@ -0,0 +1,112 @@
+// Modulation routings for renderOfflineFromWaves: a wave can modulate another
+// wave's amplitude (AM), frequency (FM) or ring-multiply it instead of being
+// heard, and free LFOs drive a wave's amplitude or frequency. Everything is
+// wired as AudioParam connections.
+
+import { clamp } from './utils.js';
+import { isNoise } from './noise.js';
+import { isTestSignal } from './test-signals.js';
+
+export const MOD_KINDS = ['am', 'fm', 'ring'];
+
+export const LFO_SHAPES = ['sine', 'triangle', 'square', 'sawtooth'];
+
+export const LFO_PARAMS = ['amp', 'freq'];
+
+// Fastest LFO (Hz) that may drive the frequency of a buffer voice, whose
+// playbackRate only updates once per 128-sample render quantum
+export const MAX_BUFFER_VIBRATO = 20;
+
+// True when wave `w` renders as an OscillatorNode, whose frequency follows an
+// FM signal sample by sample. Buffer voices (piano, violin, noise, test
+// signals and the sample-by-sample oscillators outside band-limited mode) can
+// only be retuned through their k-rate playbackRate, which turns FM into a
+// staircase, so they take no FM and only slow vibrato.
+export function hasAudioRateFrequency(w, oscillatorMode = 'band-limited') {
+  if (w.type === 'piano' || w.type === 'violin' || isNoise(w.type) || isTestSignal(w.type)) return false;
+  return oscillatorMode === 'band-limited' || w.type === 'custom';
+}
+
+// True when `lfo` acts on its target wave `target` (see hasAudioRateFrequency)
+export function lfoApplies(lfo, target, oscillatorMode = 'band-limited') {
+  if (!target || !(lfo.freq > 0) || !lfo.depth) return false;
+  return lfo.param !== 'freq' || lfo.freq <= MAX_BUFFER_VIBRATO || hasAudioRateFrequency(target, oscillatorMode);
+}
+
+// Wave id → target id for every wave that modulates another. A modulation is
+// dropped when its target is missing, silent or itself, when it is FM onto a
+// wave without an audio-rate frequency (the modulator is then heard
+// directly), or when following the targets leads back to the modulator: Web
+// Audio mutes cycles that have no delay in them.
+export function activeModulators(waves, oscillatorMode = 'band-limited') {
+  const byId = new Map(waves.filter(w => w.amp > 0 && w.id != null).map(w => [w.id, w]));
+  // Target id of `w`'s modulation, or null when it is dropped
+  const link = w => {
+    const t = (w.modTarget == null) ? null : byId.get(w.modTarget);
+    if (!t || t === w) return null;
+    return (w.modKind === 'fm' && !hasAudioRateFrequency(t, oscillatorMode)) ? null : t.id;
+  };
+  const result = new Map();
+  for (const w of byId.values()) {
+    const target = link(w);
+    if (target == null) continue;
+    const seen = new Set();
+    let t = target;
+    while (t != null && t !== w.id && !seen.has(t)) {
+      seen.add(t);
+      t = link(byId.get(t));
+    }
+    if (t !== w.id) result.set(w.id, target);
+  }
+  return result;
+}
+
+// Connect the modulations between `voices` (wave id → { wave, source, gain,
+// level, frequency: { param, perHz } }, where `source` is the unit-level
+// signal, `gain` its level node at `level` and `frequency.param` takes Hz
+// times `perHz`) and the free `lfos` ({ shape, freq, depth, target, param }).
+// A modulator's signal is taken after its level node divided by its level,
+// so the modulation it receives itself passes on down a chain (A → B → C).
+// `modDepth` is the AM depth (0–1), the FM index β (peak deviation β·fm) or
+// the ring-modulation mix (0–1). An LFO's depth is a fraction of the
+// amplitude or a deviation in Hz. `oscillatorMode` is the one the voices
+// were rendered with. Returns activeModulators(); those waves must not be
+// sent to the output.
+export function connectModulation(ctx, voices, lfos, duration, oscillatorMode = 'band-limited') {
+  const modulators = activeModulators([...voices.values()].map(v => v.wave), oscillatorMode);
+  for (const [id, targetId] of modulators) {
+    const m = voices.get(id);
+    const t = voices.get(targetId);
+    const depth = m.wave.modDepth ?? 0.5;
+    const signal = gain => m.gain.connect(new GainNode(ctx, { gain: gain / m.level }));
+    switch (m.wave.modKind) {
+      case 'fm':
+        signal(depth * m.wave.freq * t.frequency.perHz).connect(t.frequency.param);
+        break;
+      case 'ring': {
+        // The dry part of the target's level gives way to the product
+        const mix = clamp(depth, 0, 1);
+        t.gain.gain.value -= mix * t.level;
+        signal(mix * t.level).connect(t.gain.gain);
+        break;
+      }
+      default:
+        signal(clamp(depth, 0, 1) * t.level).connect(t.gain.gain);
+    }
+  }
+
+  for (const lfo of lfos) {
+    const t = voices.get(lfo.target);
+    if (!t || !lfoApplies(lfo, t.wave, oscillatorMode)) continue;
+    const osc = new OscillatorNode(ctx, {
+      type: LFO_SHAPES.includes(lfo.shape) ? lfo.shape : 'sine',
+      frequency: lfo.freq
+    });
+    const toFreq = lfo.param === 'freq';
+    const scale = toFreq ? lfo.depth * t.frequency.perHz : clamp(lfo.depth, 0, 1) * t.level;
+    osc.connect(new GainNode(ctx, { gain: scale })).connect(toFreq ? t.frequency.param : t.gain.gain);
+    osc.start(0);
+    osc.stop(duration);
+  }
+  return modulators;
+}
@@ -0,0 +1,96 @@
+// Noise waveforms: white, pink (−3 dB/octave), brown (−6 dB/octave) and
+// white noise band-limited to the wave's frequency. Each is Gaussian white
+// noise from a seeded source through a shaping filter, so the start of a
+// render does not depend on its length.
+
+import { designFilter, applyFilter } from './filter-design.js';
+
+export const NOISE_TYPES = ['white-noise', 'pink-noise', 'brown-noise', 'band-noise'];
+
+export const isNoise = type => NOISE_TYPES.includes(type);
+
+// RMS level of the unit-amplitude noise (−12 dBFS), so peaks rarely pass
+// full scale (crest factor 4)
+const NOISE_RMS = 0.25;
+
+// Pink noise filter: first-order pole-zero sections with a pole every
+// PINK_SPACING (two octaves) from PINK_LOWEST Hz up to Nyquist and each zero
+// an octave above its pole. The response alternates between flat and
+// −6 dB/octave about an average −3 dB/octave. The analog sections are mapped
+// with z = e^(−2πf/fs), so the slope holds at any rate.
+const PINK_LOWEST = 2;
+const PINK_SPACING = 4;
+
+// Brown noise integrator leak (Hz), which keeps it from drifting off
+const BROWN_LEAK = 10;
+
+function pinkFilter(x, sampleRate) {
+  const corner = f => Math.exp(-2 * Math.PI * f / sampleRate);
+  const poles = [];
+  const zeros = [];
+  for (let f = PINK_LOWEST; f < sampleRate / 2; f *= PINK_SPACING) {
+    poles.push(corner(f));
+    zeros.push(corner(f * Math.sqrt(PINK_SPACING)));
+  }
+  const y = Float32Array.from(x);
+  for (let k = 0; k < poles.length; k++) {
+    let xPrev = 0;
+    let yPrev = 0;
+    for (let n = 0; n < y.length; n++) {
+      const v = y[n];
+      yPrev = v - zeros[k] * xPrev + poles[k] * yPrev;
+      xPrev = v;
+      y[n] = yPrev;
+    }
+  }
+  return y;
+}
+
+function brownFilter(x, sampleRate) {
+  const a = Math.exp(-2 * Math.PI * BROWN_LEAK / sampleRate);
+  const y = new Float32Array(x.length);
+  let acc = 0;
+  for (let n = 0; n < x.length; n++) {
+    acc = a * acc + x[n];
+    y[n] = acc;
+  }
+  return y;
+}
+
+// Shaping filter of each type over a whole signal
+function noiseShaper(type, sampleRate, bandEdge) {
+  switch (type) {
+    case 'pink-noise':
+      return x => pinkFilter(x, sampleRate);
+    case 'brown-noise':
+      return x => brownFilter(x, sampleRate);
+    case 'band-noise': {
+      // Steep elliptic low-pass; at or near Nyquist the noise stays white
+      if (bandEdge >= 0.45 * sampleRate) return x => x;
+      const design = designFilter({ type: 'lowpass', family: 'elliptic', order: 8, cutoff: bandEdge, ripple: 0.1, attenuation: 90 }, sampleRate);
+      return x => applyFilter(design, x);
+    }
+    default:
+      return x => x;
+  }
+}
+
+// `length` samples of noise `type` at NOISE_RMS, drawing from `rng` (a
+// createRandom() source). `bandEdge` (Hz) is the upper edge of band-noise.
+export function renderNoise(type, { length, sampleRate, rng, bandEdge = sampleRate / 2 }) {
+  const shape = noiseShaper(type, sampleRate, bandEdge);
+
+  // The filter's power gain, from one second of its impulse response
+  const impulse = new Float32Array(Math.max(1, Math.round(sampleRate)));
+  impulse[0] = 1;
+  const h = shape(impulse);
+  let power = 0;
+  for (let n = 0; n < h.length; n++) power += h[n] * h[n];
+  const scale = NOISE_RMS / Math.sqrt(power || 1);
+
+  const white = new Float32Array(length);
+  for (let n = 0; n < length; n++) white[n] = rng.gaussian();
+  const y = shape(white);
+  for (let n = 0; n < length; n++) y[n] *= scale;
+  return y;
+}
@@ -0,0 +1,119 @@
+// Sample-by-sample oscillators for square, sawtooth and triangle waves:
+// naive (aliasing), PolyBLEP and BLIT (band-limited impulse train)
+
+export const OSCILLATOR_MODES = ['band-limited', 'naive', 'polyblep', 'blit'];
+
+// Leak of the BLIT integrators; keeps DC from building up
+const LEAK = 0.999;
+
+// Two-point polynomial band-limited step residual for a step of +2 at phase 0
+// (t is the phase in [0, 1), dt the phase increment per sample)
+function polyBlep(t, dt) {
+  if (t < dt) {
+    const u = t / dt;
+    return u + u - u * u - 1;
+  }
+  if (t > 1 - dt) {
+    const u = (t - 1) / dt;
+    return u * u + u + u + 1;
+  }
+  return 0;
+}
+
+// Integrated polyBlep: residual for a unit change of slope (per sample) at
+// phase 0, used to round the corners of the triangle
+function polyBlamp(t, dt) {
+  if (t < dt) {
+    const u = 1 - t / dt;
+    return u * u * u / 6;
+  }
+  if (t > 1 - dt) {
+    const u = 1 + (t - 1) / dt;
+    return u * u * u / 6;
+  }
+  return 0;
+}
+
+// Band-limited impulse train (Stilson & Smith) with every harmonic below
+// Nyquist and a mean of 1/P, where P is the period in samples
+function blit(t, P) {
+  const M = 2 * Math.floor(P / 2) + 1;
+  const denom = P * Math.sin(Math.PI * t);
+  if (Math.abs(denom) < 1e-9) return M / P;
+  return Math.sin(Math.PI * M * t) / denom;
+}
+
+function naiveSample(shape, t) {
+  switch (shape) {
+    case 'square':
+      return t < 0.5 ? 1 : -1;
+    case 'sawtooth':
+      return 2 * ((t + 0.5) % 1) - 1;
+    case 'triangle':
+      return 1 - 4 * Math.abs(((t + 0.25) % 1) - 0.5);
+    default:
+      return Math.sin(2 * Math.PI * t);
+  }
+}
+
+// PolyBLEP square and sawtooth; the triangle uses polyBLAMP at its corners
+function polyBlepSample(shape, t, dt) {
+  const y = naiveSample(shape, t);
+  switch (shape) {
+    case 'square':
+      return y + polyBlep(t, dt) - polyBlep((t + 0.5) % 1, dt);
+    case 'sawtooth':
+      return y - polyBlep((t + 0.5) % 1, dt);
+    case 'triangle':
+      // Slope changes by −8·dt at the peak (t = ¼) and +8·dt at the trough
+      return y - 8 * dt * polyBlamp((t + 0.75) % 1, dt) + 8 * dt * polyBlamp((t + 0.25) % 1, dt);
+    default:
+      return y;
+  }
+}
+
+// Render `length` samples of a unit-peak wave at `freq` with the phase
+// offset `phaseDeg`, aligned with the sine (rising zero crossing at phase 0)
+export function renderOscillator(shape, { freq, phaseDeg = 0, sampleRate, length, mode = 'naive' }) {
+  const y = new Float32Array(length);
+  const dt = freq / sampleRate;
+  const t0 = (((phaseDeg || 0) / 360) % 1 + 1) % 1;
+  const phaseAt = n => (t0 + n * dt) % 1;
+
+  if (mode === 'naive' || shape === 'sine') {
+    for (let n = 0; n < length; n++) y[n] = naiveSample(shape, phaseAt(n));
+    return y;
+  }
+
+  if (mode === 'polyblep') {
+    for (let n = 0; n < length; n++) y[n] = polyBlepSample(shape, phaseAt(n), dt);
+    return y;
+  }
+
+  if (mode !== 'blit') throw new Error(`Unknown oscillator mode: ${mode}`);
+
+  // BLIT: leaky integration of band-limited impulse trains. The sawtooth
+  // integrates a DC-free train, the square a bipolar train and the triangle
+  // the square. The integrators start at the naive wave's previous sample so
+  // there is no start-up offset to leak away.
+  const P = 1 / dt;
+  let acc = 0.5 * naiveSample(shape === 'sawtooth' ? 'sawtooth' : 'square', (t0 - dt + 1) % 1);
+  let tri = naiveSample('triangle', (t0 - dt + 1) % 1);
+  for (let n = 0; n < length; n++) {
+    const t = phaseAt(n);
+    if (shape === 'sawtooth') {
+      acc = LEAK * acc + (1 / P - blit((t + 0.5) % 1, P));
+      y[n] = 2 * acc;
+    } else {
+      acc = LEAK * acc + blit(t, P) - blit((t + 0.5) % 1, P);
+      const square = 2 * acc;
+      if (shape === 'square') {
+        y[n] = square;
+      } else {
+        tri = LEAK * tri + 4 * dt * square;
+        y[n] = tri;
+      }
+    }
+  }
+  return y;
+}
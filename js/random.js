@@ -0,0 +1,67 @@
+// Seedable pseudo-random numbers so renders can be reproduced sample for sample
+
+// mulberry32: small, fast 32-bit generator; returns uniform values in [0, 1)
+export function createRandom(seed = 1) {
+  let a = seed >>> 0;
+  let spareGaussian = null;
+  
+  const next = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  
+  return {
+    next,
+    // Uniform in [lo, hi)
+    uniform(lo = -1, hi = 1) {
+      return lo + (hi - lo) * next();
+    },
+    // Standard normal (Box–Muller)
+    gaussian() {
+      if (spareGaussian !== null) {
+        const g = spareGaussian;
+        spareGaussian = null;
+        return g;
+      }
+      const u = 1 - next();
+      const v = next();
+      const r = Math.sqrt(-2 * Math.log(u));
+      spareGaussian = r * Math.sin(2 * Math.PI * v);
+      return r * Math.cos(2 * Math.PI * v);
+    }
+  };
+}
+
+// Mix a stream name into a base seed (FNV-1a), so each generator gets its own
+// sequence and adding one does not shift the numbers another one sees
+export function deriveSeed(seed, key) {
+  let h = (0x811C9DC5 ^ (seed >>> 0)) >>> 0;
+  const str = String(key);
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// Generator for the named stream `key` under the app-wide `seed`
+export function createRandomStream(seed, key) {
+  return createRandom(deriveSeed(seed, key));
+}
+
+// Fresh seed for the "New seed" button: a positive 31-bit integer
+export function randomSeed() {
+  return 1 + Math.floor(Math.random() * 0x7FFFFFFE);
+}
+
+// Stateless uniform value in [0, 1) for the integer `n` under `seed`, for
+// per-index randomness (e.g. one value per converter code) over ranges too
+// large to tabulate. Same mixing as mulberry32.
+export function hashUniform(seed, n) {
+  let t = ((seed >>> 0) + Math.imul(n | 0, 0x6D2B79F5)) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
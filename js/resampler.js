@@ -0,0 +1,161 @@
+// Sample-rate conversion: polyphase windowed-sinc FIR and naive decimation
+
+import { besselI0 } from './fft.js';
+
+// Above this many coefficients the kernel is evaluated per output sample
+// instead of being tabulated
+const MAX_TABLE_SIZE = 1 << 20;
+
+export const RESAMPLE_MODES = ['polyphase', 'naive'];
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+// Reduce fsOut / fsIn to the rational ratio L / M
+export function rationalRatio(fsIn, fsOut) {
+  const inRate = Math.round(fsIn);
+  const outRate = Math.round(fsOut);
+  const g = gcd(inRate, outRate);
+  return { L: outRate / g, M: inRate / g };
+}
+
+// Normalized sinc: sin(πx) / (πx)
+export function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Taper for a truncated sinc kernel, evaluated at r in [-1, 1].
+// `i0Beta` is besselI0(beta), passed in so it is only computed once.
+export function sincKernelWindow(type, r, beta, i0Beta = besselI0(beta)) {
+  const ar = Math.abs(r);
+  if (ar >= 1) return 0;
+  switch (type) {
+    case 'blackman':
+      return 0.42 + 0.5 * Math.cos(Math.PI * r) + 0.08 * Math.cos(2 * Math.PI * r);
+    case 'lanczos':
+      return sinc(r);
+    case 'kaiser':
+    default:
+      return besselI0(beta * Math.sqrt(1 - r * r)) / i0Beta;
+  }
+}
+
+// Build the windowed-sinc interpolation kernel for a conversion ratio.
+// `d` is measured in input samples; the cutoff follows the lower of the two
+// Nyquist frequencies so downsampling is band-limited too.
+function makeKernel(L, M, taps, window, beta) {
+  const cutoff = Math.min(1, L / M);
+  const span = 2 * Math.ceil(Math.max(2, taps) / (2 * cutoff));
+  const halfWidth = span / 2;
+  const i0Beta = besselI0(beta);
+  const kernel = d => cutoff * sinc(cutoff * d) * sincKernelWindow(window, d / halfWidth, beta, i0Beta);
+  return { kernel, span };
+}
+
+// Polyphase FIR resampling at the rational ratio fsOut / fsIn.
+// For output sample n at input time t = n·M/L, phase (n·M mod L) selects the
+// sub-filter applied to the `span` input samples around floor(t).
+function resamplePolyphase(x, L, M, { taps, window, beta }) {
+  const Nout = Math.floor(x.length * L / M);
+  const y = new Float32Array(Nout);
+  const { kernel, span } = makeKernel(L, M, taps, window, beta);
+  const offset = span / 2 - 1;
+
+  // Sub-filter for `phase`: coefficient m multiplies x[i0 - offset + m]
+  const phaseCoeffs = phase => {
+    const c = new Float32Array(span);
+    for (let m = 0; m < span; m++) {
+      c[m] = kernel(phase / L + offset - m);
+    }
+    return c;
+  };
+
+  const table = (L * span <= MAX_TABLE_SIZE)
+    ? Array.from({ length: L }, (_, p) => phaseCoeffs(p))
+    : null;
+
+  const last = x.length - 1;
+  for (let n = 0; n < Nout; n++) {
+    const pos = n * M;
+    const i0 = Math.floor(pos / L);
+    const phase = pos - i0 * L;
+    const c = table ? table[phase] : phaseCoeffs(phase);
+    const start = i0 - offset;
+    let acc = 0;
+    for (let m = 0; m < span; m++) {
+      const k = start + m;
+      if (k < 0 || k > last) continue;
+      acc += c[m] * x[k];
+    }
+    y[n] = acc;
+  }
+  return y;
+}
+
+// Point sampling with no anti-alias filter: reads the input at each output
+// instant (linear interpolation between input samples), so anything above the
+// new Nyquist frequency folds back as aliasing.
+function resampleNaive(x, L, M) {
+  const Nout = Math.floor(x.length * L / M);
+  const y = new Float32Array(Nout);
+  const last = x.length - 1;
+  for (let n = 0; n < Nout; n++) {
+    const pos = n * M;
+    const i0 = Math.floor(pos / L);
+    const frac = (pos - i0 * L) / L;
+    y[n] = (i0 >= last) ? x[last] : x[i0] * (1 - frac) + x[i0 + 1] * frac;
+  }
+  return y;
+}
+
+// Convert `x` from fsIn to fsOut
+export function resample(x, fsIn, fsOut, { mode = 'polyphase', taps = 32, window = 'kaiser', beta = 8 } = {}) {
+  const { L, M } = rationalRatio(fsIn, fsOut);
+  if (L === M) return Float32Array.from(x);
+  if (mode === 'naive') return resampleNaive(x, L, M);
+  if (mode !== 'polyphase') throw new Error(`Unknown resample mode: ${mode}`);
+  return resamplePolyphase(x, L, M, { taps, window, beta });
+}
+
+// Read `x` at arbitrary fractional sample positions, e.g. jittered sampling
+// instants. Polyphase mode uses the windowed-sinc kernel with its cutoff at
+// `cutoff` × the input Nyquist, tabulated every 1/`oversample` sample and
+// linearly interpolated; naive mode interpolates linearly between samples.
+export function resampleAt(x, positions, { mode = 'polyphase', cutoff = 1, taps = 32, window = 'kaiser', beta = 8, oversample = 512 } = {}) {
+  const y = new Float32Array(positions.length);
+  const last = x.length - 1;
+  if (mode === 'naive') {
+    for (let n = 0; n < positions.length; n++) {
+      const pos = Math.min(Math.max(positions[n], 0), last);
+      const i0 = Math.floor(pos);
+      const frac = pos - i0;
+      y[n] = (i0 >= last) ? x[last] : x[i0] * (1 - frac) + x[i0 + 1] * frac;
+    }
+    return y;
+  }
+  if (mode !== 'polyphase') throw new Error(`Unknown resample mode: ${mode}`);
+
+  // The kernel is symmetric, so only d ≥ 0 is tabulated
+  const { kernel, span } = makeKernel(cutoff, 1, taps, window, beta);
+  const half = span / 2;
+  const table = new Float64Array(half * oversample + 2);
+  for (let i = 0; i < table.length; i++) table[i] = kernel(i / oversample);
+
+  for (let n = 0; n < positions.length; n++) {
+    const pos = positions[n];
+    const i0 = Math.floor(pos);
+    let acc = 0;
+    for (let k = Math.max(0, i0 - half + 1); k <= Math.min(last, i0 + half); k++) {
+      const d = Math.abs(pos - k) * oversample;
+      const j = Math.floor(d);
+      if (j >= table.length - 1) continue;
+      acc += x[k] * (table[j] + (table[j + 1] - table[j]) * (d - j));
+    }
+    y[n] = acc;
+  }
+  return y;
+}
@@ -0,0 +1,52 @@
+// Measurement test signals: exponential (Farina) and linear sine sweeps from
+// SWEEP_START to just below Nyquist, and a single click. Each is a fixed
+// function of the render length and rate, so the measurement can rebuild the
+// exact excitation to deconvolve against.
+
+export const TEST_SIGNALS = ['log-sweep', 'chirp', 'impulse'];
+
+export const isTestSignal = type => TEST_SIGNALS.includes(type);
+
+const SWEEP_START = 20;
+
+// Sweeps end at this fraction of Nyquist
+const SWEEP_END = 0.95;
+
+// The sweep fills this fraction of the render; the rest lets the system
+// under test ring out
+const SWEEP_FILL = 0.9;
+
+// Raised-cosine fades at both ends of a sweep (s)
+const FADE = 0.01;
+
+// The click comes after this lead-in (s), so the measured impulse response
+// has room for pre-ringing
+const CLICK_TIME = 0.01;
+
+// Unit-peak test signal of `length` samples at `sampleRate`
+export function renderTestSignal(type, { length, sampleRate }) {
+  const y = new Float32Array(length);
+  if (type === 'impulse') {
+    y[Math.min(length - 1, Math.round(CLICK_TIME * sampleRate))] = 1;
+    return y;
+  }
+
+  const f1 = SWEEP_START;
+  const f2 = SWEEP_END * sampleRate / 2;
+  const T = SWEEP_FILL * length / sampleRate;
+  const n = Math.floor(SWEEP_FILL * length);
+  const fade = Math.max(1, Math.round(FADE * sampleRate));
+  const rate = Math.log(f2 / f1);
+  for (let i = 0; i < n; i++) {
+    const t = i / sampleRate;
+    // Exponential sweep: the instantaneous frequency f1·e^(t·ln(f2/f1)/T)
+    // spends equal time per octave; the linear chirp equal time per Hz
+    const phase = (type === 'log-sweep')
+      ? 2 * Math.PI * f1 * T / rate * (Math.exp(t * rate / T) - 1)
+      : 2 * Math.PI * (f1 * t + (f2 - f1) * t * t / (2 * T));
+    const edge = Math.min(i, n - 1 - i);
+    const gain = (edge < fade) ? 0.5 - 0.5 * Math.cos(Math.PI * edge / fade) : 1;
+    y[i] = gain * Math.sin(phase);
+  }
+  return y;
+}
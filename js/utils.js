@@ -1,5 +1,7 @@
 // Utility functions
 
+import { rfft } from './fft.js';
+
 export const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
 export const dB = x => 20 * Math.log10(x);
 export const fmt = (x, digits = 2) => Number.isFinite(x) ? x.toFixed(digits) : '—';
@@ -18,6 +20,12 @@ export function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
+// Fold a frequency into 0..fs/2 the way sampling does
+export function foldFrequency(freq, sampleRate) {
+  const f = ((freq % sampleRate) + sampleRate) % sampleRate;
+  return f > sampleRate / 2 ? sampleRate - f : f;
+}
+
 export function findDominantFrequency(fftData, sampleRate) {
   // Find peak in FFT magnitude data
   let maxMag = 0;
@@ -100,28 +108,15 @@ export function generateADSR(length, sampleRate, params) {
   return envelope;
 }
 
-// Simple FFT for frequency analysis (for auto-scaling scope)
+// Magnitude spectrum for frequency analysis (for auto-scaling scope).
+// Returns an array of the zero-padded length (at least 2, the smallest
+// rfft size) with bins 0..n/2-1 filled.
 export function computeFFT(signal) {
-  const n = nextPowerOf2(signal.length);
-  const real = new Float32Array(n);
-  const imag = new Float32Array(n);
-  
-  // Copy signal to real part
-  for (let i = 0; i < signal.length; i++) {
-    real[i] = signal[i];
-  }
-  
-  // Simple DFT (not optimized, but works for our needs)
+  const n = Math.max(2, nextPowerOf2(signal.length));
+  const { re, im } = rfft(signal, n);
   const output = new Float32Array(n);
   for (let k = 0; k < n / 2; k++) {
-    let sumReal = 0;
-    let sumImag = 0;
-    for (let t = 0; t < n; t++) {
-      const angle = -2 * Math.PI * k * t / n;
-      sumReal += real[t] * Math.cos(angle);
-      sumImag += real[t] * Math.sin(angle);
-    }
-    output[k] = Math.sqrt(sumReal * sumReal + sumImag * sumImag);
+    output[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
   }
   
   return output;
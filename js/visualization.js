@@ -1,6 +1,7 @@
 // Visualization and canvas drawing functions
 
 import { clamp, findDominantFrequency, computeFFT } from './utils.js';
+import { pcmQuantizer } from './audio-engine.js';
 
 // Auto-adjust time window based on frequency
 export function getOptimalTimeWindow(frequency) {
@@ -126,8 +127,10 @@ export function drawSpectrum(ctx, canvas, bins, sampleRate = 48000, zoomLevel =
   ctx.textAlign = 'left';
 }
 
-// Draw sampling points visualization
-export function drawSamplingVisualization(ctx, canvas, signal, sampleRate, bitDepth, recordingRate, zoomLevel = 1) {
+// Draw sampling points visualization. `bitstream` ({ bits, length, rate },
+// packed MSB first) adds the 1-bit stream of a sigma-delta ADC as a lane
+// along the bottom.
+export function drawSamplingVisualization(ctx, canvas, signal, sampleRate, bitDepth, recordingRate, zoomLevel = 1, bitstream = null) {
   const W = canvas.clientWidth;
   const H = canvas.clientHeight;
   
@@ -163,9 +166,9 @@ export function drawSamplingVisualization(ctx, canvas, signal, sampleRate, bitDe
   }
   ctx.stroke();
   
-  // Draw sampled points
-  const quantLevels = Math.pow(2, bitDepth);
-  const stepSize = 2 / quantLevels;
+  // Draw sampled points, quantized exactly as the recording is
+  const quantizer = pcmQuantizer(bitDepth);
+  const quantize = v => quantizer.code(v) / quantizer.peak;
   
   ctx.fillStyle = '#e5c07b';
   ctx.strokeStyle = '#e5c07b';
@@ -182,7 +185,7 @@ export function drawSamplingVisualization(ctx, canvas, signal, sampleRate, bitDe
     const value = signal[i];
     
     // Quantize the value
-    const quantized = Math.round(value / stepSize) * stepSize;
+    const quantized = quantize(value);
     const y = mid - quantized * (H * 0.45);
     
     // Draw horizontal hold from last point
@@ -209,7 +212,7 @@ export function drawSamplingVisualization(ctx, canvas, signal, sampleRate, bitDe
     
     const x = (i / samplesVisible) * W;
     const value = signal[i];
-    const quantized = Math.round(value / stepSize) * stepSize;
+    const quantized = quantize(value);
     const y = mid - quantized * (H * 0.45);
     
     // Draw point
@@ -222,9 +225,45 @@ export function drawSamplingVisualization(ctx, canvas, signal, sampleRate, bitDe
   ctx.fillStyle = '#8ca0b3';
   ctx.font = '11px monospace';
   ctx.fillText(`Sample Rate: ${recordingRate} Hz`, 10, 20);
-  ctx.fillText(`Bit Depth: ${bitDepth}-bit (${quantLevels} levels)`, 10, 35);
+  ctx.fillText(`Bit Depth: ${bitDepth}-bit (${quantizer.levels.toLocaleString()} levels)`, 10, 35);
   ctx.fillText(`Samples shown: ${Math.floor(samplesVisible / sampleStep)}`, 10, 50);
   ctx.fillText(`Zoom: ${zoomLevel.toFixed(1)}x`, 10, 65);
+  
+  if (bitstream) drawBitstreamLane(ctx, W, H, bitstream, samplesVisible / sampleRate, recordingRate);
+}
+
+// 1-bit stream over the first `seconds`: one pulse per bit when bits are at
+// least 2 px apart, otherwise the density of ones in each pixel column
+function drawBitstreamLane(ctx, W, H, { bits, length, rate }, seconds, recordingRate) {
+  const bitAt = n => (bits[n >> 3] >> (7 - (n & 7))) & 1;
+  const nBits = Math.min(length, Math.floor(seconds * rate));
+  const top = H - 22;
+  const laneH = 16;
+  
+  if (W / nBits >= 2) {
+    ctx.strokeStyle = '#56b6c2';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let n = 0; n < nBits; n++) {
+      const y = bitAt(n) ? top : top + laneH;
+      ctx.lineTo(n * W / nBits, y);
+      ctx.lineTo((n + 1) * W / nBits, y);
+    }
+    ctx.stroke();
+  } else {
+    for (let x = 0; x < W; x++) {
+      const start = Math.floor(x * nBits / W);
+      const end = Math.max(start + 1, Math.floor((x + 1) * nBits / W));
+      let ones = 0;
+      for (let n = start; n < end; n++) ones += bitAt(n);
+      ctx.fillStyle = `rgba(86, 182, 194, ${ones / (end - start)})`;
+      ctx.fillRect(x, top, 1, laneH);
+    }
+  }
+  
+  ctx.fillStyle = '#8ca0b3';
+  ctx.font = '11px monospace';
+  ctx.fillText(`1-bit stream: ${(rate / 1e6).toFixed(4)} MHz (${Math.round(rate / recordingRate)}× fs)`, 10, 80);
 }
 
 // Draw grid lines
@@ -253,31 +292,32 @@ function drawGrid(ctx, W, H, isFrequency = false) {
   }
 }
 
-// Draw quantization grid showing bit depth levels
+// Draw quantization grid showing the quantizer's actual levels
 function drawQuantizationGrid(ctx, W, H, bitDepth) {
-  const levels = Math.pow(2, bitDepth);
+  const { peak, levels } = pcmQuantizer(bitDepth);
   const mid = H / 2;
   
-  ctx.strokeStyle = 'rgba(32, 38, 52, 0.3)';
-  ctx.lineWidth = 0.5;
+  // Zero line
+  ctx.strokeStyle = 'rgba(170, 170, 170, 0.3)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, mid);
+  ctx.lineTo(W, mid);
+  ctx.stroke();
   
-  // Draw horizontal quantization levels
-  for (let i = 0; i <= levels; i++) {
-    const y = mid - ((i / levels - 0.5) * 2) * (H * 0.45);
-    
-    // Stronger line at zero
-    if (i === levels / 2) {
-      ctx.strokeStyle = 'rgba(170, 170, 170, 0.3)';
-      ctx.lineWidth = 1;
-    } else {
-      ctx.strokeStyle = 'rgba(32, 38, 52, 0.3)';
-      ctx.lineWidth = 0.5;
+  // Individual levels, unless they would be closer than ~4 px and merge
+  if (levels <= H / 4) {
+    const values = (bitDepth === 1) ? [-1, 1] : Array.from({ length: levels }, (_, i) => (i - peak) / peak);
+    ctx.strokeStyle = 'rgba(140, 160, 179, 0.25)';
+    ctx.lineWidth = 0.5;
+    for (const v of values) {
+      if (v === 0) continue;
+      const y = mid - v * (H * 0.45);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(W, y);
+      ctx.stroke();
     }
-    
-    ctx.beginPath();
-    ctx.moveTo(0, y);
-    ctx.lineTo(W, y);
-    ctx.stroke();
   }
   
   // Vertical time grid
@@ -342,6 +382,521 @@ export function drawArrayToScope(canvas, arr, fs) {
   ctx.stroke();
 }
 
+// Colour stops for the spectrogram dB map (quiet → loud)
+const SPECTROGRAM_STOPS = [
+  [10, 13, 18],
+  [36, 52, 74],
+  [86, 182, 194],
+  [152, 195, 121],
+  [229, 192, 123],
+  [255, 255, 255]
+];
+
+function spectrogramColor(t) {
+  const pos = clamp(t, 0, 1) * (SPECTROGRAM_STOPS.length - 1);
+  const i = Math.min(SPECTROGRAM_STOPS.length - 2, Math.floor(pos));
+  const f = pos - i;
+  const a = SPECTROGRAM_STOPS[i];
+  const b = SPECTROGRAM_STOPS[i + 1];
+  return [
+    a[0] + (b[0] - a[0]) * f,
+    a[1] + (b[1] - a[1]) * f,
+    a[2] + (b[2] - a[2]) * f
+  ];
+}
+
+// Draw an STFT (see fft.js stft) as a time/frequency image with a frequency axis
+export function drawSpectrogram(canvas, spec, sampleRate, { minDb = -120, maxDb = 0 } = {}) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth;
+  const H = canvas.clientHeight;
+  
+  if (canvas.width !== W || canvas.height !== H) {
+    canvas.width = W;
+    canvas.height = H;
+  }
+  
+  ctx.clearRect(0, 0, W, H);
+  if (!spec || W === 0 || H === 0) return;
+  
+  const { db, nFrames, nBins } = spec;
+  const image = ctx.createImageData(W, H);
+  const range = maxDb - minDb;
+  
+  for (let x = 0; x < W; x++) {
+    const frame = Math.min(nFrames - 1, Math.floor((x / W) * nFrames));
+    const base = frame * nBins;
+    for (let y = 0; y < H; y++) {
+      // Low frequencies at the bottom
+      const bin = Math.round((1 - y / (H - 1)) * (nBins - 1));
+      const [r, g, b] = spectrogramColor((db[base + bin] - minDb) / range);
+      const p = (y * W + x) * 4;
+      image.data[p] = r;
+      image.data[p + 1] = g;
+      image.data[p + 2] = b;
+      image.data[p + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  
+  // Frequency axis
+  const nyquist = sampleRate / 2;
+  ctx.fillStyle = '#8ca0b3';
+  ctx.strokeStyle = 'rgba(140, 160, 179, 0.25)';
+  ctx.lineWidth = 0.5;
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'left';
+  
+  const numLabels = 5;
+  for (let i = 1; i < numLabels; i++) {
+    const y = H - (i / numLabels) * H;
+    const freq = (i / numLabels) * nyquist;
+    const label = freq >= 1000 ? `${(freq/1000).toFixed(1)}k` : `${Math.round(freq)}`;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(W, y);
+    ctx.stroke();
+    ctx.fillText(label, 4, y - 2);
+  }
+  
+  ctx.textAlign = 'right';
+  ctx.fillText(`${minDb}…${maxDb} dB`, W - 4, 12);
+  ctx.textAlign = 'left';
+}
+
+// Goniometer (L/R vectorscope rotated 45°: mid vertical, side horizontal)
+// with a correlation meter along the bottom
+export function drawGoniometer(canvas, left, right, correlation) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth;
+  const H = canvas.clientHeight;
+  
+  if (canvas.width !== W || canvas.height !== H) {
+    canvas.width = W;
+    canvas.height = H;
+  }
+  
+  ctx.clearRect(0, 0, W, H);
+  
+  const meterH = 18;
+  const cx = W / 2;
+  const cy = (H - meterH) / 2;
+  const radius = Math.min(W / 2, (H - meterH) / 2) * 0.9;
+  
+  // Axes: M (vertical), S (horizontal), L and R diagonals
+  ctx.strokeStyle = 'rgba(140, 160, 179, 0.25)';
+  ctx.lineWidth = 0.5;
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - radius);
+  ctx.lineTo(cx, cy + radius);
+  ctx.moveTo(cx - radius, cy);
+  ctx.lineTo(cx + radius, cy);
+  const d = radius * Math.SQRT1_2;
+  ctx.moveTo(cx - d, cy - d);
+  ctx.lineTo(cx + d, cy + d);
+  ctx.moveTo(cx + d, cy - d);
+  ctx.lineTo(cx - d, cy + d);
+  ctx.stroke();
+  
+  ctx.fillStyle = '#8ca0b3';
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText('M', cx, Math.max(10, cy - radius - 2));
+  ctx.fillText('L', cx - d - 6, cy - d);
+  ctx.fillText('R', cx + d + 6, cy - d);
+  
+  // Trace (decimated to keep drawing cheap)
+  const N = Math.min(left.length, right.length);
+  const step = Math.max(1, Math.floor(N / 8000));
+  ctx.fillStyle = 'rgba(152, 195, 121, 0.35)';
+  for (let i = 0; i < N; i += step) {
+    const side = (right[i] - left[i]) * Math.SQRT1_2;
+    const mid = (left[i] + right[i]) * Math.SQRT1_2;
+    const x = cx + clamp(side, -1, 1) * radius;
+    const y = cy - clamp(mid, -1, 1) * radius;
+    ctx.fillRect(x, y, 1.5, 1.5);
+  }
+  
+  // Correlation meter (-1 … +1)
+  const corr = clamp(correlation, -1, 1);
+  const barY = H - meterH + 4;
+  ctx.fillStyle = 'rgba(32, 38, 52, 0.8)';
+  ctx.fillRect(0, barY, W, meterH - 6);
+  ctx.fillStyle = corr >= 0 ? '#56b6c2' : '#e06c75';
+  const x0 = W / 2;
+  const x1 = W / 2 + corr * (W / 2);
+  ctx.fillRect(Math.min(x0, x1), barY, Math.abs(x1 - x0), meterH - 6);
+  
+  ctx.fillStyle = '#e8eef6';
+  ctx.textAlign = 'left';
+  ctx.fillText(`Correlation: ${corr.toFixed(2)}`, 4, barY - 4);
+}
+
+// Plot SNR (dB) against input level (dBFS) for one or more quantizers.
+// curves: [{ label, color, points: [{ levelDb, snr }] }]
+export function drawSnrCurves(canvas, curves, { minDb = -60, maxDb = 0, maxSnr = 60 } = {}) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth;
+  const H = canvas.clientHeight;
+  
+  if (canvas.width !== W || canvas.height !== H) {
+    canvas.width = W;
+    canvas.height = H;
+  }
+  
+  ctx.clearRect(0, 0, W, H);
+  drawGrid(ctx, W, H);
+  
+  const padL = 28;
+  const padB = 14;
+  const toX = level => padL + ((level - minDb) / (maxDb - minDb)) * (W - padL - 4);
+  const toY = snr => (H - padB) - (clamp(snr, 0, maxSnr) / maxSnr) * (H - padB - 4);
+  
+  // Axes labels
+  ctx.fillStyle = '#8ca0b3';
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'center';
+  for (let level = minDb; level <= maxDb; level += 10) {
+    ctx.fillText(`${level}`, toX(level), H - 2);
+  }
+  ctx.textAlign = 'right';
+  for (let snr = 0; snr <= maxSnr; snr += 20) {
+    ctx.fillText(`${snr}`, padL - 4, toY(snr) + 3);
+  }
+  
+  // Curves
+  curves.forEach((curve, idx) => {
+    ctx.strokeStyle = curve.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    curve.points.forEach((p, i) => {
+      const x = toX(p.levelDb);
+      const y = toY(Number.isFinite(p.snr) ? p.snr : maxSnr);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    
+    ctx.fillStyle = curve.color;
+    ctx.textAlign = 'left';
+    ctx.fillText(curve.label, padL + 6, 12 + idx * 12);
+  });
+  
+  ctx.fillStyle = '#8ca0b3';
+  ctx.textAlign = 'right';
+  ctx.fillText('SNR dB vs input dBFS', W - 4, 12);
+  ctx.textAlign = 'left';
+}
+
+// One period of a custom wave from its harmonic table, scaled to its peak as
+// PeriodicWave normalizes it (same phase convention as buildPeriodicWave)
+export function drawHarmonicPreview(canvas, harmonics) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth;
+  const H = canvas.clientHeight;
+  
+  if (canvas.width !== W || canvas.height !== H) {
+    canvas.width = W;
+    canvas.height = H;
+  }
+  
+  ctx.clearRect(0, 0, W, H);
+  drawGrid(ctx, W, H);
+  
+  const values = new Float32Array(Math.max(2, W));
+  let peak = 0;
+  for (let i = 0; i < values.length; i++) {
+    const theta = 2 * Math.PI * i / (values.length - 1);
+    let v = 0;
+    harmonics.forEach(({ amp, phaseDeg }, k) => {
+      v += amp * Math.cos((k + 1) * theta - (phaseDeg || 0) * Math.PI / 180);
+    });
+    values[i] = v;
+    peak = Math.max(peak, Math.abs(v));
+  }
+  if (peak === 0) return;
+  
+  ctx.strokeStyle = '#56b6c2';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  values.forEach((v, i) => {
+    const y = H / 2 - (v / peak) * (H / 2 - 4);
+    if (i === 0) ctx.moveTo(i, y);
+    else ctx.lineTo(i, y);
+  });
+  ctx.stroke();
+}
+
+// INL and DNL (LSB) of a converter against its output code, with missing
+// codes marked along the bottom (see converterErrors)
+export function drawConverterErrors(canvas, { codes, inl, dnl, missing }) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth;
+  const H = canvas.clientHeight;
+  
+  if (canvas.width !== W || canvas.height !== H) {
+    canvas.width = W;
+    canvas.height = H;
+  }
+  
+  ctx.clearRect(0, 0, W, H);
+  drawGrid(ctx, W, H);
+  if (!codes.length) return;
+  
+  const padL = 28;
+  const padB = 14;
+  const range = Math.max(1, ...inl.map(Math.abs), ...dnl.map(Math.abs));
+  const first = codes[0];
+  const span = Math.max(1, codes[codes.length - 1] - first);
+  const toX = k => padL + ((k - first) / span) * (W - padL - 4);
+  const toY = lsb => (H - padB) / 2 - (lsb / range) * ((H - padB) / 2 - 4);
+  
+  // Axes labels
+  ctx.fillStyle = '#8ca0b3';
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'right';
+  [range, 0, -range].forEach(v => ctx.fillText(fmtLsb(v), padL - 4, toY(v) + 3));
+  ctx.textAlign = 'center';
+  ctx.fillText(`${first}`, toX(first) + 10, H - 2);
+  ctx.fillText('0', toX(0), H - 2);
+  ctx.fillText(`${codes[codes.length - 1]}`, W - 16, H - 2);
+  
+  // Missing codes
+  ctx.fillStyle = '#e06c75';
+  codes.forEach((k, i) => {
+    if (missing[i]) ctx.fillRect(toX(k) - 0.5, H - padB - 6, 1.5, 6);
+  });
+  
+  // Curves
+  [{ values: dnl, color: '#e5c07b', label: 'DNL' }, { values: inl, color: '#56b6c2', label: 'INL' }].forEach((curve, idx) => {
+    ctx.strokeStyle = curve.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    curve.values.forEach((v, i) => {
+      if (i === 0) ctx.moveTo(toX(codes[i]), toY(v));
+      else ctx.lineTo(toX(codes[i]), toY(v));
+    });
+    ctx.stroke();
+    
+    ctx.fillStyle = curve.color;
+    ctx.textAlign = 'left';
+    ctx.fillText(curve.label, padL + 6, 12 + idx * 12);
+  });
+  
+  ctx.fillStyle = '#8ca0b3';
+  ctx.textAlign = 'right';
+  ctx.fillText('LSB vs output code', W - 4, 12);
+  ctx.textAlign = 'left';
+}
+
+function fmtLsb(v) {
+  return (Math.abs(v) >= 10 || v === 0) ? v.toFixed(0) : v.toFixed(1);
+}
+
+// Dashed vertical marker line at x with an optional label
+function drawMarkerLine(ctx, x, bottom, label) {
+  ctx.strokeStyle = '#e06c75';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(x, 0);
+  ctx.lineTo(x, bottom);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  if (label) {
+    ctx.fillStyle = '#e06c75';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, x + 3, 11);
+  }
+}
+
+// Averaged dB spectrum (bins 0..N/2) on a linear frequency axis, or a
+// logarithmic one from the first bin with `logFreq` (for noise shaping that
+// spans decades). `markers` ({ freq, db, color, hollow }) are drawn as
+// triangles above the given level, e.g. for predicted partials; `markFreq`
+// draws a dashed line, e.g. at a band edge.
+export function drawSpectrumDb(canvas, db, sampleRate, { minDb = -160, maxDb = -40, color = '#f0a35e', label = '', markers = [], logFreq = false, markFreq = null, markLabel = '' } = {}) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth;
+  const H = canvas.clientHeight;
+  
+  if (canvas.width !== W || canvas.height !== H) {
+    canvas.width = W;
+    canvas.height = H;
+  }
+  
+  ctx.clearRect(0, 0, W, H);
+  drawGrid(ctx, W, H, true);
+  
+  const padL = 34;
+  const padB = 14;
+  const nyquist = sampleRate / 2;
+  const fMin = nyquist / (db.length - 1);
+  const toX = logFreq
+    ? f => padL + (Math.log10(Math.max(f, fMin) / fMin) / Math.log10(nyquist / fMin)) * (W - padL - 4)
+    : f => padL + (f / nyquist) * (W - padL - 4);
+  const toY = v => (H - padB) - ((clamp(v, minDb, maxDb) - minDb) / (maxDb - minDb)) * (H - padB - 4);
+  
+  // Axes labels
+  ctx.fillStyle = '#8ca0b3';
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'center';
+  if (logFreq) {
+    for (let f = Math.pow(10, Math.ceil(Math.log10(fMin))); f <= nyquist; f *= 10) {
+      ctx.fillText(f >= 1e6 ? `${f / 1e6}M` : (f >= 1000 ? `${f / 1000}k` : `${f}`), toX(f), H - 2);
+    }
+  } else {
+    const fStep = nyquist > 10000 ? 5000 : (nyquist > 2000 ? 1000 : 500);
+    for (let f = 0; f <= nyquist; f += fStep) {
+      ctx.fillText(`${f / 1000}k`, toX(f), H - 2);
+    }
+  }
+  ctx.textAlign = 'right';
+  for (let v = Math.ceil(minDb / 20) * 20; v <= maxDb; v += 20) {
+    ctx.fillText(`${v}`, padL - 4, toY(v) + 3);
+  }
+  
+  // Spectrum line
+  const nBins = db.length;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let k = 0; k < nBins; k++) {
+    const x = toX(k * nyquist / (nBins - 1));
+    const y = toY(db[k]);
+    if (k === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+  
+  // Markers
+  for (const m of markers) {
+    if (m.freq < 0 || m.freq > nyquist) continue;
+    const x = toX(m.freq);
+    const y = Math.max(8, toY(m.db) - 3);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x - 4, y - 7);
+    ctx.lineTo(x + 4, y - 7);
+    ctx.closePath();
+    if (m.hollow) {
+      ctx.strokeStyle = m.color;
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = m.color;
+      ctx.fill();
+    }
+  }
+  
+  if (markFreq !== null && markFreq <= nyquist) drawMarkerLine(ctx, toX(markFreq), H - padB, markLabel);
+  
+  if (label) {
+    ctx.fillStyle = '#8ca0b3';
+    ctx.textAlign = 'right';
+    ctx.fillText(label, W - 4, 12);
+    ctx.textAlign = 'left';
+  }
+}
+
+// Filter response in three stacked panels: magnitude (dB), phase (rad) and
+// group delay (ms). `markFreq` draws a dashed line, e.g. at the recording
+// Nyquist frequency. `overlays` ({ values, color, label, dashed }) are extra
+// magnitude curves in dB on the same frequency grid.
+export function drawFilterResponse(canvas, response, sampleRate, { minDb = -120, markFreq = null, markLabel = '', overlays = [] } = {}) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.clientWidth;
+  const H = canvas.clientHeight;
+  
+  if (canvas.width !== W || canvas.height !== H) {
+    canvas.width = W;
+    canvas.height = H;
+  }
+  
+  ctx.clearRect(0, 0, W, H);
+  drawGrid(ctx, W, H, true);
+  
+  const padL = 34;
+  const padB = 14;
+  const nyquist = sampleRate / 2;
+  const toX = f => padL + (f / nyquist) * (W - padL - 4);
+  const panelH = (H - padB) / 3;
+  const { freq, magDb, phase, groupDelay } = response;
+  
+  // Group delay range (ms), ignoring the spikes at response zeros
+  const delays = Array.from(groupDelay).filter(Number.isFinite).map(d => 1000 * d / sampleRate);
+  const maxDelay = Math.max(0.01, ...delays.map(d => Math.min(d, 200)));
+  
+  const panels = [
+    { values: magDb, min: minDb, max: 5, color: '#56b6c2', label: 'Magnitude dB', ticks: [0, -40, -80] },
+    { values: phase, min: -Math.PI, max: Math.PI, color: '#e5c07b', label: 'Phase rad', ticks: [-3, 0, 3] },
+    { values: groupDelay.map(d => 1000 * d / sampleRate), min: 0, max: maxDelay * 1.1, color: '#98c379', label: 'Group delay ms', ticks: [0, +(maxDelay / 2).toPrecision(2)] }
+  ];
+  
+  ctx.font = '10px monospace';
+  panels.forEach((panel, p) => {
+    const top = p * panelH;
+    const toY = v => top + panelH - 2 - ((clamp(v, panel.min, panel.max) - panel.min) / (panel.max - panel.min)) * (panelH - 6);
+    
+    // Panel separator and axis ticks
+    ctx.strokeStyle = 'rgba(140, 160, 179, 0.25)';
+    ctx.beginPath();
+    ctx.moveTo(padL, top + panelH);
+    ctx.lineTo(W, top + panelH);
+    ctx.stroke();
+    ctx.fillStyle = '#8ca0b3';
+    ctx.textAlign = 'right';
+    panel.ticks.forEach(t => ctx.fillText(`${t}`, padL - 4, toY(t) + 3));
+    
+    // Trace (gaps where the value is undefined)
+    const trace = (values, color, dashed = false) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash(dashed ? [4, 3] : []);
+      ctx.beginPath();
+      let drawing = false;
+      for (let i = 0; i < freq.length; i++) {
+        const v = values[i];
+        if (!Number.isFinite(v)) {
+          drawing = false;
+          continue;
+        }
+        const x = toX(freq[i]);
+        const y = toY(v);
+        if (drawing) ctx.lineTo(x, y);
+        else ctx.moveTo(x, y);
+        drawing = true;
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+    trace(panel.values, panel.color);
+    
+    ctx.fillStyle = panel.color;
+    ctx.textAlign = 'right';
+    ctx.fillText(panel.label, W - 4, top + 11);
+    
+    if (p === 0) {
+      overlays.forEach((o, i) => {
+        trace(o.values, o.color, o.dashed);
+        ctx.fillStyle = o.color;
+        ctx.fillText(o.label, W - 4, top + 23 + 12 * i);
+      });
+    }
+  });
+  
+  // Frequency axis
+  ctx.fillStyle = '#8ca0b3';
+  ctx.textAlign = 'center';
+  const fStep = nyquist > 10000 ? 5000 : (nyquist > 2000 ? 1000 : 500);
+  for (let f = 0; f <= nyquist; f += fStep) {
+    ctx.fillText(`${f / 1000}k`, toX(f), H - 2);
+  }
+  
+  // Marker line
+  if (markFreq !== null && markFreq <= nyquist) drawMarkerLine(ctx, toX(markFreq), H - padB, markLabel);
+  ctx.textAlign = 'left';
+}
+
 // Create and manage visualization loop
 export class VisualizationManager {
   constructor() {
@@ -0,0 +1,144 @@
+// WAV file decoding (RIFF/WAVE reader)
+
+import { ulawToLinear, alawToLinear } from './g711.js';
+
+export const WAVE_FORMAT = {
+  PCM: 1,
+  IEEE_FLOAT: 3,
+  ALAW: 6,
+  MULAW: 7,
+  EXTENSIBLE: 0xFFFE
+};
+
+const FORMAT_NAMES = {
+  [WAVE_FORMAT.PCM]: 'PCM',
+  [WAVE_FORMAT.IEEE_FLOAT]: 'IEEE float',
+  [WAVE_FORMAT.ALAW]: 'A-law',
+  [WAVE_FORMAT.MULAW]: 'μ-law'
+};
+
+function readString(view, offset, length) {
+  let str = '';
+  for (let i = 0; i < length; i++) {
+    str += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return str;
+}
+
+function parseFmtChunk(view, offset, size) {
+  if (size < 16) throw new Error('WAV fmt chunk is too short');
+  const fmt = {
+    formatCode: view.getUint16(offset, true),
+    channels: view.getUint16(offset + 2, true),
+    sampleRate: view.getUint32(offset + 4, true),
+    byteRate: view.getUint32(offset + 8, true),
+    blockAlign: view.getUint16(offset + 12, true),
+    bitsPerSample: view.getUint16(offset + 14, true),
+    validBits: null,
+    channelMask: null
+  };
+  fmt.validBits = fmt.bitsPerSample;
+
+  // WAVE_FORMAT_EXTENSIBLE: the real format code is the first two bytes of
+  // the SubFormat GUID
+  if (fmt.formatCode === WAVE_FORMAT.EXTENSIBLE) {
+    if (size < 40) throw new Error('WAV extensible fmt chunk is too short');
+    fmt.validBits = view.getUint16(offset + 18, true) || fmt.bitsPerSample;
+    fmt.channelMask = view.getUint32(offset + 20, true);
+    fmt.formatCode = view.getUint16(offset + 24, true);
+    fmt.extensible = true;
+  }
+  return fmt;
+}
+
+// Returns a sample reader (view, byteOffset) => float in [-1, 1)
+function sampleReader({ formatCode, bitsPerSample }) {
+  switch (formatCode) {
+    case WAVE_FORMAT.PCM:
+      switch (bitsPerSample) {
+        case 8: return (v, o) => (v.getUint8(o) - 128) / 128;
+        case 16: return (v, o) => v.getInt16(o, true) / 32768;
+        case 24: return (v, o) => {
+          const x = v.getUint8(o) | (v.getUint8(o + 1) << 8) | (v.getInt8(o + 2) << 16);
+          return x / 8388608;
+        };
+        case 32: return (v, o) => v.getInt32(o, true) / 2147483648;
+      }
+      break;
+    case WAVE_FORMAT.IEEE_FLOAT:
+      if (bitsPerSample === 32) return (v, o) => v.getFloat32(o, true);
+      if (bitsPerSample === 64) return (v, o) => v.getFloat64(o, true);
+      break;
+    case WAVE_FORMAT.MULAW:
+      if (bitsPerSample === 8) return (v, o) => ulawToLinear(v.getUint8(o)) / 32768;
+      break;
+    case WAVE_FORMAT.ALAW:
+      if (bitsPerSample === 8) return (v, o) => alawToLinear(v.getUint8(o)) / 32768;
+      break;
+  }
+  throw new Error(`Unsupported WAV format ${formatCode} at ${bitsPerSample} bits`);
+}
+
+// Parse a RIFF/WAVE file. Unknown chunks (LIST, cue, …) are skipped, odd-sized
+// chunks are padded to an even length, and a data chunk that runs past the end
+// of a truncated file is read up to the last complete frame.
+export function decodeWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let dataOffset = -1;
+  let dataSize = 0;
+  const chunks = [];
+
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readString(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    chunks.push(id);
+
+    if (id === 'fmt ') {
+      fmt = parseFmtChunk(view, body, size);
+    } else if (id === 'data') {
+      dataOffset = body;
+      dataSize = Math.min(size, view.byteLength - body);
+    }
+
+    offset = body + size + (size & 1);
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset < 0) throw new Error('WAV file has no data chunk');
+  if (fmt.channels < 1) throw new Error('WAV file has no channels');
+
+  const read = sampleReader(fmt);
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const blockAlign = fmt.blockAlign || fmt.channels * bytesPerSample;
+  const length = Math.floor(dataSize / blockAlign);
+  const channelData = Array.from({ length: fmt.channels }, () => new Float32Array(length));
+
+  for (let i = 0; i < length; i++) {
+    const frame = dataOffset + i * blockAlign;
+    for (let c = 0; c < fmt.channels; c++) {
+      channelData[c][i] = read(view, frame + c * bytesPerSample);
+    }
+  }
+
+  return {
+    sampleRate: fmt.sampleRate,
+    numberOfChannels: fmt.channels,
+    length,
+    duration: length / fmt.sampleRate,
+    formatCode: fmt.formatCode,
+    formatName: FORMAT_NAMES[fmt.formatCode],
+    extensible: !!fmt.extensible,
+    bitsPerSample: fmt.bitsPerSample,
+    validBits: fmt.validBits,
+    channelMask: fmt.channelMask,
+    chunks,
+    channelData
+  };
+}
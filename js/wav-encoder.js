@@ -1,6 +1,7 @@
 // WAV file encoding utilities
 
 import { clamp } from './utils.js';
+import { pcmQuantizer } from './audio-engine.js';
 
 function writeString(view, offset, str) {
   for (let i = 0; i < str.length; i++) {
@@ -8,109 +9,158 @@ function writeString(view, offset, str) {
   }
 }
 
-export function encodeWavFromPCM(floatData, sampleRate, bits, channels = 1) {
-  // Interleave channels if stereo
-  const N = floatData.length;
-  const ch = channels;
-  const interleaved = new Float32Array(N * ch);
-  
-  if (ch === 1) {
-    interleaved.set(floatData);
-  } else {
-    // Duplicate mono to stereo
+// Interleave per-channel sample arrays (a single typed array is treated as mono)
+function interleave(channelData, ArrayType) {
+  const chans = ArrayBuffer.isView(channelData) ? [channelData] : channelData;
+  const ch = chans.length;
+  const N = chans[0].length;
+  const out = new ArrayType(N * ch);
+  for (let c = 0; c < ch; c++) {
+    const data = chans[c];
     for (let i = 0; i < N; i++) {
-      const v = floatData[i];
-      interleaved[2 * i] = v;
-      interleaved[2 * i + 1] = v;
+      out[i * ch + c] = data[i];
     }
   }
+  return { interleaved: out, ch };
+}
+
+// KSDATAFORMAT_SUBTYPE_PCM GUID, as stored in a WAVE_FORMAT_EXTENSIBLE fmt chunk
+const SUBTYPE_PCM = [0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71];
+
+// Integer PCM at any depth from 1 to 32 bits. Depths that are not 8/16/24/32
+// are stored in the next container size as WAVE_FORMAT_EXTENSIBLE with the
+// valid bit count, samples left-justified.
+export function encodeWavFromPCM(channelData, sampleRate, bits) {
+  // Float64 keeps full precision for 32-bit integer samples
+  const { interleaved, ch } = interleave(channelData, Float64Array);
 
   // Create buffer with WAV header
-  const bytesPerSample = (bits === 24) ? 3 : (bits === 16 ? 2 : 1);
+  const container = Math.min(32, Math.ceil(bits / 8) * 8);
+  const extensible = container !== bits;
+  const bytesPerSample = container / 8;
   const blockAlign = ch * bytesPerSample;
   const byteRate = sampleRate * blockAlign;
   const dataSize = interleaved.length * bytesPerSample;
-  const buffer = new ArrayBuffer(44 + dataSize);
+  const pad = dataSize & 1; // chunks are padded to an even length
+  const fmtSize = extensible ? 40 : 16;
+  const headerSize = 28 + fmtSize;
+  const buffer = new ArrayBuffer(headerSize + dataSize + pad);
   const view = new DataView(buffer);
 
   // RIFF header
   writeString(view, 0, 'RIFF');
-  view.setUint32(4, 36 + dataSize, true);
+  view.setUint32(4, headerSize - 8 + dataSize + pad, true);
   writeString(view, 8, 'WAVE');
   
   // fmt chunk
   writeString(view, 12, 'fmt ');
-  view.setUint32(16, 16, true); // PCM fmt chunk length
-  view.setUint16(20, 1, true);  // PCM format
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, extensible ? 0xFFFE : 1, true); // PCM or extensible
   view.setUint16(22, ch, true);
   view.setUint32(24, sampleRate, true);
   view.setUint32(28, byteRate, true);
   view.setUint16(32, blockAlign, true);
-  view.setUint16(34, bits, true);
+  view.setUint16(34, container, true);
+  if (extensible) {
+    view.setUint16(36, 22, true);                  // cbSize
+    view.setUint16(38, bits, true);                // valid bits per sample
+    view.setUint32(40, ch === 1 ? 0x4 : 0x3, true); // channel mask (FC or FL|FR)
+    SUBTYPE_PCM.forEach((b, i) => view.setUint8(44 + i, b));
+  }
   
   // data chunk
-  writeString(view, 36, 'data');
-  view.setUint32(40, dataSize, true);
-
-  // Write samples
-  let offset = 44;
-  if (bits === 16) {
-    for (let i = 0; i < interleaved.length; i++) {
-      const s = clamp(interleaved[i], -1, 1);
-      view.setInt16(offset, Math.round(s * 32767), true);
-      offset += 2;
-    }
-  } else if (bits === 24) {
-    for (let i = 0; i < interleaved.length; i++) {
-      const s = clamp(interleaved[i], -1, 1);
-      const v = Math.round(s * 8388607); // 2^23 - 1
-      view.setUint8(offset + 0, (v & 0xFF));        // little-endian 24-bit
-      view.setUint8(offset + 1, (v >> 8) & 0xFF);
-      view.setUint8(offset + 2, (v >> 16) & 0xFF);
-      offset += 3;
-    }
-  } else { // 8-bit unsigned PCM
-    for (let i = 0; i < interleaved.length; i++) {
-      const s = clamp(interleaved[i], -1, 1);
-      const v = Math.round((s * 0.5 + 0.5) * 255);
-      view.setUint8(offset, v);
-      offset += 1;
+  writeString(view, headerSize - 8, 'data');
+  view.setUint32(headerSize - 4, dataSize, true);
+
+  // Write samples: the N-bit code shifted into the top of the container
+  const { code } = pcmQuantizer(bits);
+  const shift = Math.pow(2, container - bits);
+  const maxCode = Math.pow(2, container - 1) - 1;
+  let offset = headerSize;
+  for (let i = 0; i < interleaved.length; i++) {
+    const v = clamp(code(interleaved[i]) * shift, -maxCode - 1, maxCode);
+    if (container === 8) {
+      view.setUint8(offset, v + 128); // 8-bit is unsigned (offset binary, silence = 128)
+    } else {
+      for (let b = 0; b < bytesPerSample; b++) {
+        view.setUint8(offset + b, (v >> (8 * b)) & 0xFF); // little-endian
+      }
     }
+    offset += bytesPerSample;
   }
   
   return new Blob([buffer], { type: 'audio/wav' });
 }
 
-export function encodeWavFromULaw(ulawBytes, sampleRate, channels = 1) {
-  // μ-law is stored as 8-bit with format code 7 (G.711 μ-law)
-  const N = ulawBytes.length;
-  const ch = channels;
-  const interleaved = (ch === 1) ? ulawBytes : (() => {
-    const out = new Uint8Array(N * 2);
-    for (let i = 0; i < N; i++) {
-      const v = ulawBytes[i];
-      out[2 * i] = v;
-      out[2 * i + 1] = v;
-    }
-    return out;
-  })();
+export function encodeWavFromFloat32(channelData, sampleRate) {
+  // IEEE float is stored with format code 3, which needs an 18-byte fmt chunk
+  // and a fact chunk holding the frame count
+  const { interleaved, ch } = interleave(channelData, Float32Array);
+
+  const bytesPerSample = 4;
+  const blockAlign = ch * bytesPerSample;
+  const byteRate = sampleRate * blockAlign;
+  const dataSize = interleaved.length * bytesPerSample;
+  const buffer = new ArrayBuffer(58 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 50 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  
+  // fmt chunk
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 18, true);    // fmt chunk size for non-PCM
+  view.setUint16(20, 3, true);     // format code 3 = IEEE float
+  view.setUint16(22, ch, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, byteRate, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 32, true);    // bits per sample
+  view.setUint16(36, 0, true);     // cbSize (extra size) = 0
+  
+  // fact chunk
+  writeString(view, 38, 'fact');
+  view.setUint32(42, 4, true);
+  view.setUint32(46, interleaved.length / ch, true);
+  
+  // data chunk
+  writeString(view, 50, 'data');
+  view.setUint32(54, dataSize, true);
+
+  // Write samples (not clipped: float can exceed full scale)
+  let offset = 58;
+  for (let i = 0; i < interleaved.length; i++) {
+    view.setFloat32(offset, interleaved[i], true);
+    offset += 4;
+  }
+  
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+export function encodeWavFromG711(channelData, sampleRate, law = 'mu') {
+  // G.711 is stored as 8-bit with format code 7 (μ-law) or 6 (A-law)
+  const { interleaved, ch } = interleave(channelData, Uint8Array);
+  const formatCode = (law === 'a') ? 6 : 7;
 
   const bytesPerSample = 1;
   const blockAlign = ch * bytesPerSample;
   const byteRate = sampleRate * blockAlign;
   const dataSize = interleaved.length;
-  const buffer = new ArrayBuffer(44 + dataSize);
+  const pad = dataSize & 1;
+  const buffer = new ArrayBuffer(46 + dataSize + pad);
   const view = new DataView(buffer);
 
-  // RIFF header
+  // RIFF header (18-byte fmt chunk, so the header is 46 bytes)
   writeString(view, 0, 'RIFF');
-  view.setUint32(4, 36 + dataSize, true);
+  view.setUint32(4, 38 + dataSize + pad, true);
   writeString(view, 8, 'WAVE');
   
-  // fmt chunk (note: μ-law uses format code 7)
+  // fmt chunk (note: G.711 uses format code 7 or 6)
   writeString(view, 12, 'fmt ');
   view.setUint32(16, 18, true);    // fmt chunk size for non-PCM
-  view.setUint16(20, 7, true);     // format code 7 = μ-law
+  view.setUint16(20, formatCode, true);
   view.setUint16(22, ch, true);
   view.setUint32(24, sampleRate, true);
   view.setUint32(28, byteRate, true);
@@ -122,8 +172,8 @@ export function encodeWavFromULaw(ulawBytes, sampleRate, channels = 1) {
   writeString(view, 38, 'data');
   view.setUint32(42, dataSize, true);
 
-  // Write μ-law data
-  let off = 44;
+  // Write G.711 data
+  let off = 46;
   for (let i = 0; i < interleaved.length; i++) {
     view.setUint8(off + i, interleaved[i]);
   }
@@ -0,0 +1,115 @@
+// Numeric tests for js/fft.js against sinusoids with known spectra.
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fft, ifft, rfft, irfft, amplitudeSpectrum } from '../js/fft.js';
+import { computeFFT } from '../js/utils.js';
+
+const N = 256;
+const TOLERANCE = 1e-9;
+
+// A·cos(2πkn/N + φ) puts (A·N/2)·e^(±iφ) in bins k and N − k
+function cosine(k, amplitude = 1, phase = 0, n = N) {
+  const x = new Float64Array(n);
+  for (let i = 0; i < n; i++) x[i] = amplitude * Math.cos(2 * Math.PI * k * i / n + phase);
+  return x;
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= TOLERANCE * Math.max(1, Math.abs(expected)),
+    `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('fft puts a cosine in its two conjugate bins', () => {
+  const k = 13;
+  const amplitude = 0.75;
+  const phase = 0.4;
+  const { re, im } = fft(cosine(k, amplitude, phase));
+  const peak = amplitude * N / 2;
+  for (let bin = 0; bin < N; bin++) {
+    const sign = (bin === k) ? 1 : (bin === N - k) ? -1 : 0;
+    assertClose(re[bin], sign ? peak * Math.cos(phase) : 0, `re[${bin}]`);
+    assertClose(im[bin], sign * peak * Math.sin(phase), `im[${bin}]`);
+  }
+});
+
+test('fft of a complex exponential is a single bin', () => {
+  const k = 37;
+  const re = new Float64Array(N);
+  const im = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
+    re[i] = Math.cos(2 * Math.PI * k * i / N);
+    im[i] = Math.sin(2 * Math.PI * k * i / N);
+  }
+  const out = fft(re, im);
+  for (let bin = 0; bin < N; bin++) {
+    assertClose(out.re[bin], bin === k ? N : 0, `re[${bin}]`);
+    assertClose(out.im[bin], 0, `im[${bin}]`);
+  }
+});
+
+test('rfft matches the complex fft on bins 0..N/2', () => {
+  const x = cosine(5, 0.5, 1.1);
+  const y = cosine(64, 0.25, -0.3);
+  for (let i = 0; i < N; i++) x[i] += y[i] + 0.1;
+  const full = fft(x);
+  const half = rfft(x);
+  assert.equal(half.re.length, N / 2 + 1);
+  for (let bin = 0; bin <= N / 2; bin++) {
+    assertClose(half.re[bin], full.re[bin], `re[${bin}]`);
+    assertClose(half.im[bin], full.im[bin], `im[${bin}]`);
+  }
+  assertClose(half.re[0], 0.1 * N, 'DC');
+});
+
+test('rfft reads a Nyquist cosine in the last bin', () => {
+  const { re, im } = rfft(cosine(N / 2, 0.5));
+  assertClose(re[N / 2], 0.5 * N, 'Nyquist re');
+  assertClose(im[N / 2], 0, 'Nyquist im');
+});
+
+test('rfft zero-pads input shorter than the size', () => {
+  const { re } = rfft([1, 1, 1, 1], 16);
+  assertClose(re[0], 4, 'DC');
+  assert.equal(re.length, 9);
+});
+
+test('rfft rejects sizes that are not a power of two', () => {
+  assert.throws(() => rfft(new Float64Array(12)));
+  assert.throws(() => rfft([1]));
+});
+
+test('ifft inverts fft', () => {
+  const re = cosine(3, 1, 0.2);
+  const im = cosine(9, 0.5, -1);
+  const spectrum = fft(re, im);
+  const back = ifft(spectrum.re, spectrum.im);
+  for (let i = 0; i < N; i++) {
+    assertClose(back.re[i], re[i], `re[${i}]`);
+    assertClose(back.im[i], im[i], `im[${i}]`);
+  }
+});
+
+test('irfft inverts rfft', () => {
+  const x = cosine(7, 0.9, 0.5);
+  const y = cosine(100, 0.05);
+  for (let i = 0; i < N; i++) x[i] += y[i];
+  const { re, im } = rfft(x);
+  const back = irfft(re, im);
+  assert.equal(back.length, N);
+  for (let i = 0; i < N; i++) assertClose(back[i], x[i], `x[${i}]`);
+});
+
+test('amplitudeSpectrum reads a full-scale sine at a bin centre as 1', () => {
+  for (const window of ['rectangular', 'hann', 'blackman-harris', 'flattop']) {
+    const mag = amplitudeSpectrum(cosine(32, 1, 0.7, 1024), { window });
+    assert.ok(Math.abs(mag[32] - 1) < 1e-6, `${window}: ${mag[32]}`);
+  }
+});
+
+test('computeFFT handles single-sample input', () => {
+  const out = computeFFT([0.5]);
+  assert.equal(out.length, 2);
+  assertClose(out[0], 0.5, 'DC');
+});
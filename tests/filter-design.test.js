@@ -0,0 +1,32 @@
+// High-order IIR designs from js/filter-design.js stay finite, stable and at
+// unity passband gain.
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { designFilter, frequencyResponse, iirOrderLimit } from '../js/filter-design.js';
+
+const FS = 48000;
+
+// Magnitude in dB at `freq` (nearest point of a 50 Hz grid)
+function magnitudeAt(design, freq) {
+  const { magDb } = frequencyResponse(design, FS, FS / 100 + 1);
+  return magDb[Math.round(freq / 50)];
+}
+
+for (const family of ['butterworth', 'cheby1', 'cheby2', 'elliptic']) {
+  test(`${family} designs hold up to the order limit and clamp above it`, () => {
+    for (const order of [1, 8, iirOrderLimit(family), 60, 255]) {
+      const design = designFilter({ type: 'lowpass', family, order, cutoff: 4000, ripple: 0.5, attenuation: 80 }, FS);
+      assert.ok(design.sos.length <= Math.ceil(iirOrderLimit(family) / 2), `order ${order}: ${design.sos.length} sections`);
+      for (const { b, a } of design.sos) {
+        assert.ok([...b, ...a].every(Number.isFinite), `order ${order}: finite coefficients`);
+        assert.ok(Math.abs(a[2]) < 1, `order ${order}: poles inside the unit circle`);
+      }
+      if (order >= 8) {
+        assert.ok(Math.abs(magnitudeAt(design, 500)) < 0.6, `order ${order}: passband ${magnitudeAt(design, 500)} dB`);
+        assert.ok(magnitudeAt(design, 12000) < -60, `order ${order}: stopband ${magnitudeAt(design, 12000)} dB`);
+      }
+    }
+  });
+}
@@ -0,0 +1,37 @@
+// Spectral slope of the pink noise from js/noise.js at low, standard and
+// high sample rates.
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderNoise } from '../js/noise.js';
+import { createRandom } from '../js/random.js';
+import { welchSpectrum } from '../js/fft.js';
+
+const SIZE = 8192;
+const SECONDS = 8;
+
+// Power (dB) in each octave band [f, 2f) from 125 Hz up to fs/4
+function octaveLevels(signal, sampleRate) {
+  const power = Array.from(welchSpectrum(signal, { size: SIZE }), db => Math.pow(10, db / 10));
+  const binHz = sampleRate / SIZE;
+  const levels = [];
+  for (let f = 125; 2 * f <= sampleRate / 4; f *= 2) {
+    let sum = 0;
+    for (let k = Math.ceil(f / binHz); k < 2 * f / binHz; k++) sum += power[k];
+    levels.push({ f, db: 10 * Math.log10(sum) });
+  }
+  return levels;
+}
+
+for (const sampleRate of [8000, 44100, 96000]) {
+  test(`pink noise falls 3 dB/octave at ${sampleRate} Hz`, () => {
+    const noise = renderNoise('pink-noise', { length: SECONDS * sampleRate, sampleRate, rng: createRandom(7) });
+    // −3 dB/octave spectral density is equal power in every octave
+    const levels = octaveLevels(noise, sampleRate);
+    const mean = levels.reduce((s, l) => s + l.db, 0) / levels.length;
+    for (const { f, db } of levels) {
+      assert.ok(Math.abs(db - mean) < 1, `${f}–${2 * f} Hz: ${(db - mean).toFixed(2)} dB`);
+    }
+  });
+}
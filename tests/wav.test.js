@@ -0,0 +1,112 @@
+// Round trips of js/wav-encoder.js exports through decodeWav.
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWavFromPCM, encodeWavFromFloat32, encodeWavFromG711 } from '../js/wav-encoder.js';
+import { decodeWav, WAVE_FORMAT } from '../js/wav-decoder.js';
+import { pcmQuantizer } from '../js/audio-engine.js';
+import { linearToUlaw, linearToAlaw, ulawToLinear, alawToLinear } from '../js/g711.js';
+
+const SAMPLE_RATE = 44100;
+
+// Full scale, silence, small values and an odd length (to exercise padding)
+function testSignal(length = 101, phase = 0) {
+  const x = new Float32Array(length);
+  for (let i = 0; i < length; i++) x[i] = 0.9 * Math.sin(2 * Math.PI * i / 37 + phase);
+  x[0] = 0;
+  x[1] = 1;
+  x[2] = -1;
+  x[3] = 1e-4;
+  return x;
+}
+
+async function roundTrip(blob) {
+  return decodeWav(await blob.arrayBuffer());
+}
+
+// What the decoder should read back for an N-bit code in its container
+function expectedPCM(bits) {
+  const { code } = pcmQuantizer(bits);
+  const container = Math.min(32, Math.ceil(bits / 8) * 8);
+  const scale = Math.pow(2, container - bits) / Math.pow(2, container - 1);
+  // (+ 0 turns the −0 of small negative inputs into the 0 the file stores)
+  return x => Math.fround(code(x) * scale) + 0;
+}
+
+function assertSamples(actual, expected, message) {
+  assert.equal(actual.length, expected.length, `${message}: length`);
+  for (let i = 0; i < expected.length; i++) {
+    assert.equal(actual[i], expected[i], `${message}[${i}]`);
+  }
+}
+
+for (const bits of [8, 16, 24, 32]) {
+  test(`${bits}-bit PCM round-trips through decodeWav`, async () => {
+    const left = testSignal();
+    const right = testSignal(101, 1);
+    const wav = await roundTrip(encodeWavFromPCM([left, right], SAMPLE_RATE, bits));
+    assert.equal(wav.formatCode, WAVE_FORMAT.PCM);
+    assert.equal(wav.extensible, false);
+    assert.equal(wav.bitsPerSample, bits);
+    assert.equal(wav.numberOfChannels, 2);
+    assert.equal(wav.sampleRate, SAMPLE_RATE);
+    const expected = expectedPCM(bits);
+    assertSamples(wav.channelData[0], Array.from(left, expected), 'left');
+    assertSamples(wav.channelData[1], Array.from(right, expected), 'right');
+  });
+}
+
+for (const bits of [4, 12, 20]) {
+  test(`${bits}-bit PCM round-trips as WAVE_FORMAT_EXTENSIBLE`, async () => {
+    const x = testSignal();
+    const wav = await roundTrip(encodeWavFromPCM(x, SAMPLE_RATE, bits));
+    assert.equal(wav.extensible, true);
+    assert.equal(wav.formatCode, WAVE_FORMAT.PCM);
+    assert.equal(wav.bitsPerSample, Math.ceil(bits / 8) * 8);
+    assert.equal(wav.validBits, bits);
+    assert.equal(wav.channelMask, 0x4);
+    assertSamples(wav.channelData[0], Array.from(x, expectedPCM(bits)), 'mono');
+  });
+}
+
+test('odd-length 8-bit data is padded and still decodes', async () => {
+  const x = testSignal(7);
+  const blob = encodeWavFromPCM(x, SAMPLE_RATE, 8);
+  assert.equal(blob.size % 2, 0);
+  const wav = await roundTrip(blob);
+  assert.equal(wav.length, 7);
+  assert.deepEqual(wav.chunks, ['fmt ', 'data']);
+});
+
+test('IEEE float round-trips exactly, including values past full scale', async () => {
+  const left = testSignal();
+  const right = testSignal(101, 2).map(v => 1.5 * v);
+  const wav = await roundTrip(encodeWavFromFloat32([left, right], SAMPLE_RATE));
+  assert.equal(wav.formatCode, WAVE_FORMAT.IEEE_FLOAT);
+  assert.equal(wav.bitsPerSample, 32);
+  assert.deepEqual(wav.chunks, ['fmt ', 'fact', 'data']);
+  assertSamples(wav.channelData[0], left, 'left');
+  assertSamples(wav.channelData[1], right, 'right');
+});
+
+for (const [law, encode, decode, formatCode] of [
+  ['mu', linearToUlaw, ulawToLinear, WAVE_FORMAT.MULAW],
+  ['a', linearToAlaw, alawToLinear, WAVE_FORMAT.ALAW]
+]) {
+  test(`${law === 'mu' ? 'μ' : 'A'}-law round-trips through decodeWav`, async () => {
+    const x = testSignal();
+    const bytes = Uint8Array.from(x, v => encode(Math.round(v * 32767)));
+    const wav = await roundTrip(encodeWavFromG711([bytes, bytes], SAMPLE_RATE, law));
+    assert.equal(wav.formatCode, formatCode);
+    assert.equal(wav.bitsPerSample, 8);
+    assert.equal(wav.numberOfChannels, 2);
+    const expected = Array.from(bytes, b => Math.fround(decode(b) / 32768));
+    assertSamples(wav.channelData[0], expected, 'left');
+    assertSamples(wav.channelData[1], expected, 'right');
+    // Companding keeps every sample within a few percent of the input
+    for (let i = 0; i < x.length; i++) {
+      assert.ok(Math.abs(wav.channelData[0][i] - x[i]) <= 0.04 * Math.abs(x[i]) + 1e-3, `sample ${i}`);
+    }
+  });
+}